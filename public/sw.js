@@ -0,0 +1,111 @@
+// Recipe Ideas service worker. Keeps the app usable with a bad connection:
+//  - app shell: the page, its built assets and icons, all cached on install.
+//    Built assets are cache-first (their file names change with every build,
+//    so the build writes their list into ASSETS — see vite.config.js — and
+//    stale ones are dropped on activate). Everything else on our origin, the
+//    manifest and icons included, is network-first, so it can't go stale.
+//  - TheMealDB list endpoints (ingredients, areas, categories): served from
+//    cache while a fresh copy is fetched in the background
+//  - other TheMealDB API calls: network-first, falling back to the last copy
+//  - recipe images: only those the app saved (viewed or favourited recipes,
+//    see src/lib/offline.js) are served from cache; a placeholder otherwise
+//
+// Bump VERSION to drop every cache on the next visit.
+
+const VERSION = "v1";
+const SHELL_CACHE = `recipe-ideas-shell-${VERSION}`;
+const API_CACHE = `recipe-ideas-api-${VERSION}`;
+const IMAGE_CACHE = "recipe-ideas-images"; // filled by the app, kept across versions
+const KEEP = [SHELL_CACHE, API_CACHE, IMAGE_CACHE];
+
+const ASSETS = [/* BUILD_ASSETS */];
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg", "/icon-192.png", "/icon-512.png", "/meal-placeholder.svg", ...ASSETS];
+const API_ORIGIN = "https://www.themealdb.com";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+async function dropOldAssets() {
+  const cache = await caches.open(SHELL_CACHE);
+  for (const request of await cache.keys()) {
+    const { pathname } = new URL(request.url);
+    if (pathname.startsWith("/assets/") && !ASSETS.includes(pathname)) await cache.delete(request);
+  }
+}
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("recipe-ideas-") && !KEEP.includes(k)).map((k) => caches.delete(k))))
+      .then(dropOldAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    const hit = (await cache.match(request)) || (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  const fresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => hit || Response.error()); // offline and nothing cached: fail like the network would
+  return hit || fresh;
+}
+
+async function savedImage(request) {
+  const hit = await caches.match(request, { cacheName: IMAGE_CACHE });
+  if (hit) return hit;
+  try {
+    return await fetch(request);
+  } catch {
+    return caches.match("/meal-placeholder.svg", { cacheName: SHELL_CACHE });
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === "navigate") event.respondWith(networkFirst(request, SHELL_CACHE, "/index.html"));
+    else if (ASSETS.includes(url.pathname)) event.respondWith(cacheFirst(request, SHELL_CACHE));
+    else event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (url.origin === API_ORIGIN && url.pathname.startsWith("/api/")) {
+    if (url.pathname.endsWith("/list.php")) event.respondWith(staleWhileRevalidate(request, API_CACHE));
+    else event.respondWith(networkFirst(request, API_CACHE));
+  } else if (url.origin === API_ORIGIN && request.destination === "image") {
+    event.respondWith(savedImage(request));
+  }
+});
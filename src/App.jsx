@@ -1,24 +1,67 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { API, isAbortError } from "./lib/api";
+import CookingMode from "./components/CookingMode";
+import CookTimeBreakdown from "./components/CookTimeBreakdown";
+import DataSourceSettings from "./components/DataSourceSettings";
+import FacetList from "./components/FacetList";
+import FavouritesPanel, { FavouriteEditor } from "./components/FavouritesPanel";
+import IngredientCombobox from "./components/IngredientCombobox";
+import IngredientList from "./components/IngredientList";
+import MealPlanner from "./components/MealPlanner";
+import MyRecipesPanel from "./components/MyRecipesPanel";
+import NutritionFacts from "./components/NutritionFacts";
+import NutritionFilter from "./components/NutritionFilter";
+import ProfilePicker from "./components/ProfilePicker";
+import RecipeEditor from "./components/RecipeEditor";
+import RecipeExport from "./components/RecipeExport";
+import ShoppingListPanel from "./components/ShoppingListPanel";
+import { focusableIn, isEditable, moveFocus, useCardGrid } from "./lib/a11y";
+import { downloadText, loadJSON, saveJSON, usePersistentState } from "./lib/storage";
+import { buildCategoryOptions, buildCuisineOptions, selectedOptions } from "./lib/cuisines";
+import {
+  FAVOURITES_KEY,
+  isFavourite,
+  makeFavourite,
+  mergeFavourites,
+  serializeFavourites,
+  updateFavourite,
+} from "./lib/favourites";
+import {
+  applyFilters,
+  COOK_TIME_ANY,
+  DIET_OPTIONS,
+  facetCounts,
+  MEAL_TIME_OPTIONS,
+  TIME_BASES,
+} from "./lib/filters";
+import { cookTimeOf } from "./lib/cookTime";
+import { closestName, rankSuggestions } from "./lib/fuzzy";
+import { PANTRY_KEY, pantryMatch, rankByHits } from "./lib/pantry";
+import { PLANNER_KEY, setMealDragData } from "./lib/planner";
+import { isOwnRecipe, MY_RECIPES_KEY, newDraft, saveRecipe } from "./lib/myRecipes";
+import { activateLocale, detectLocale, ingredientLabel, LOCALE_KEY, LOCALES, localeInfo, t } from "./lib/i18n";
+import { keepImagesOffline, useOnlineStatus } from "./lib/offline";
+import { nutritionOf } from "./lib/nutrition";
+import { DEFAULTS_KEY, EMPTY_DEFAULTS, initialOf, profileKey, SAVED_SEARCHES_KEY, useProfiles } from "./lib/profiles";
+import { extractIngredients, formatDuration, formatMinutes } from "./lib/recipe";
+import {
+  addToShoppingList,
+  EMPTY_SHOPPING_LIST,
+  isOnShoppingList,
+  removeFromShoppingList,
+  SHOPPING_KEY,
+} from "./lib/shopping";
+import { SORT_OPTIONS, sortMeals } from "./lib/sort";
+import { ALLERGENS, flagForName, mealFlags } from "./lib/taxonomy";
+import { buildUrlSearch, isNewHistoryEntry, parseUrlState, sameList } from "./lib/urlState";
+import { classNames } from "./lib/utils";
 
 // Taylor's Recipe Ideas — single-file React app with TailwindCSS styling
-// Uses TheMealDB public API: filter by ingredient + lookup by id
+// Uses TheMealDB public API (or a local dataset, see lib/providers): filter by ingredient + lookup by id
 // Key features: 4-section layout (Top, Left, Center, Right), multi-ingredient search with autosuggest,
 // filters, results grid, and details panel.
 
 // ----------------------------- Helpers -----------------------------
-const API = {
-  filterByIngredient: (ing) =>
-    fetch(`https://www.themealdb.com/api/json/v1/1/filter.php?i=${encodeURIComponent(ing)}`).then((r) => r.json()),
-  lookupById: (id) =>
-    fetch(`https://www.themealdb.com/api/json/v1/1/lookup.php?i=${id}`).then((r) => r.json()),
-  listIngredients: () =>
-    fetch("https://www.themealdb.com/api/json/v1/1/list.php?i=list").then((r) => r.json()),
-};
-
-function classNames(...c) {
-  return c.filter(Boolean).join(" ");
-}
-
 function useDebouncedValue(value, delay = 300) {
   const [v, setV] = useState(value);
   useEffect(() => {
@@ -28,84 +71,132 @@ function useDebouncedValue(value, delay = 300) {
   return v;
 }
 
-// Very light heuristic for time estimation when API lacks a duration
-function estimateCookTime(meal) {
-  // Estimate by number of ingredients + instruction length
-  const ings = extractIngredients(meal);
-  const base = 10;
-  const byIngs = ings.length * 2; // ~2 mins per ingredient
-  const bySteps = (meal?.strInstructions || "").split(/\n|\.|\r/).filter((s) => s.trim().length > 6).length * 2;
-  const total = Math.min(120, Math.round(base + byIngs + bySteps));
-  return total; // minutes
-}
+const PAGE_SIZE = 12; // meal details are looked up this many at a time
 
-function extractIngredients(meal) {
-  if (!meal) return [];
-  const pairs = [];
-  for (let i = 1; i <= 20; i++) {
-    const ing = meal[`strIngredient${i}`];
-    const measure = meal[`strMeasure${i}`];
-    if (ing && ing.trim()) {
-      pairs.push({ ingredient: ing.trim(), measure: (measure || "").trim() });
-    }
-  }
-  return pairs;
+// Filter section heading with its "N of M recipes" count once results are loaded
+function FilterHeading({ title, count, total }) {
+  return (
+    <h3 className="font-medium mb-2 flex items-baseline justify-between gap-2">
+      <span>{title}</span>
+      {total > 0 && <span className="text-xs font-normal text-gray-500">{t("filters.matched", { matched: count, count: total })}</span>}
+    </h3>
+  );
 }
 
-function formatMinutes(mins) {
-  if (!mins || isNaN(mins)) return "—";
-  if (mins > 60) return "> 1 hr";
-  if (mins === 60) return "1 hr";
-  if (mins >= 50) return "50–60 mins";
-  if (mins >= 40) return "40–50 mins";
-  if (mins >= 30) return "30–40 mins";
-  if (mins >= 20) return "20–30 mins";
-  if (mins >= 10) return "10–20 mins";
-  return "< 10 mins";
+// Marks the user's own recipes (see lib/myRecipes)
+function OwnBadge() {
+  return (
+    <span className="px-2 py-0.5 rounded-full text-xs bg-indigo-50 text-indigo-700 border border-indigo-200 dark:bg-indigo-900/20 dark:text-indigo-200 dark:border-indigo-800">
+      {t("mine.badge")}
+    </span>
+  );
 }
 
 // ----------------------------- Main App -----------------------------
+// Signed out, show the profile picker; otherwise the app for that profile
 export default function App() {
+  const profiles = useProfiles();
+  if (!profiles.current) {
+    activateLocale(detectLocale());
+    return <ProfilePicker profiles={profiles} />;
+  }
+  return <RecipeApp profiles={profiles} />;
+}
+
+function RecipeApp({ profiles }) {
+  // Profile: per-profile data is stored under its own keys (see lib/profiles).
+  // Switching profile changes the keys, and usePersistentState re-reads them.
+  const profile = profiles.current;
+  const scoped = (key) => profileKey(profile.id, key);
+  const [defaults, setDefaults] = usePersistentState(scoped(DEFAULTS_KEY), EMPTY_DEFAULTS); // diet/cuisine a new search starts with
+  const [savedSearches, setSavedSearches] = usePersistentState(scoped(SAVED_SEARCHES_KEY), []);
+
+  // Language: the profile's choice, else the browser's. It's activated while
+  // rendering so everything below — and lib helpers like formatMinutes — uses it.
+  const [locale, setLocale] = usePersistentState(scoped(LOCALE_KEY), detectLocale);
+  activateLocale(locale);
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
   // Theme
-  const [theme, setTheme] = useState(() => (typeof window !== "undefined" && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? "dark" : "light"));
+  const [theme, setTheme] = usePersistentState(scoped("theme"), () => (typeof window !== "undefined" && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? "dark" : "light"));
   useEffect(() => {
     const root = document.documentElement;
     if (theme === "dark") root.classList.add("dark");
     else root.classList.remove("dark");
   }, [theme]);
 
-  // Profile dropdown hover
+  // Profile menu: opens on click or Enter/Space, ↑/↓ move through it, Esc closes
   const [showProfile, setShowProfile] = useState(false);
+  const profileRef = useRef(null);
+  const profileButtonRef = useRef(null);
+
+  // Search state starts from the address bar, so links and refreshes restore
+  // it; without one, the profile's default filters apply
+  const [initialUrl] = useState(() => {
+    const s = parseUrlState(window.location.search);
+    return s.hasSearch ? s : { ...s, diet: defaults.diet, cuisineLabels: defaults.cuisines };
+  });
 
   // Left filters
-  const [cuisines, setCuisines] = useState([]); // selected cuisines
-  const cuisineOptions = [
-    { label: "North Indian", value: "Indian" },
-    { label: "South Indian", value: "Indian" },
-    { label: "Chinese", value: "Chinese" },
-    { label: "Americans", value: "American" },
-    { label: "Russians", value: "Russian" },
-  ];
-  const [cookTime, setCookTime] = useState(45); // minutes slider
-  const [mealTimes, setMealTimes] = useState([]); // Breakfast, Lunch, Snack, Dinner (decorative filter)
-  const [diet, setDiet] = useState([]); // Veg, Non-Veg, Sea-food, Drinks
+  const [cuisines, setCuisines] = useState(initialUrl.cuisineLabels); // selected cuisine labels, see lib/cuisines
+  const [categories, setCategories] = useState(initialUrl.categoryLabels); // selected category labels
+  const [areaList, setAreaList] = useState(null); // provider's areas/categories, null while loading
+  const [categoryList, setCategoryList] = useState(null);
+  const [cookTime, setCookTime] = useState(initialUrl.cookTime); // minutes slider
+  const [timeBasis, setTimeBasis] = useState(initialUrl.timeBasis); // slider compares "total" or "active" time
+  const [mealTimes, setMealTimes] = useState(() => initialUrl.mealTimes.filter((m) => MEAL_TIME_OPTIONS.includes(m))); // Breakfast, Lunch, Snack, Dinner (decorative filter)
+  const [diet, setDiet] = useState(() => initialUrl.diet.filter((d) => DIET_OPTIONS.includes(d))); // Vegetarian, Vegan, ... see lib/taxonomy
+  const [nutrition, setNutrition] = useState(initialUrl.nutrition); // per-serving kcal / protein ranges, see lib/nutrition
 
   // Center search state
   const [allIngredients, setAllIngredients] = useState([]);
   const [query, setQuery] = useState("");
   const debouncedQuery = useDebouncedValue(query, 150);
-  const [selectedIngredients, setSelectedIngredients] = useState([]);
+  const [searchNotice, setSearchNotice] = useState(""); // typed name corrected or rejected
+  const [selectedIngredients, setSelectedIngredients] = useState(initialUrl.ingredients);
+  const [excluded, setExcluded] = useState(initialUrl.excluded); // ingredients or groups ("nuts") to leave out
+  const [excludeMode, setExcludeMode] = useState(false); // the search box adds exclusions instead
+  const [searchMode, setSearchMode] = usePersistentState(scoped("search-mode"), "all"); // "all" = strict intersection, "pantry" = any of the pantry
+  const [pantry, setPantry] = usePersistentState(scoped(PANTRY_KEY), []);
+  const searchIngredients = searchMode === "pantry" ? pantry : selectedIngredients;
+  const setSearchIngredients = searchMode === "pantry" ? setPantry : setSelectedIngredients;
+  const [sortBy, setSortBy] = useState(initialUrl.sort);
 
-  // Results + selection
+  // Results + selection. The whole ID intersection is fetched up front; meal
+  // details are looked up a page at a time as the user scrolls.
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
-  const [meals, setMeals] = useState([]); // list of detailed meal objects
+  const [offlineResults, setOfflineResults] = useState(false); // answered from recipes saved on this device
+  const [matchIds, setMatchIds] = useState([]); // every meal containing all selected ingredients
+  const [mealsById, setMealsById] = useState({}); // details looked up so far
+  const [failedIds, setFailedIds] = useState([]);
+  const [cursor, setCursor] = useState(0); // how many of matchIds have been requested
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [visibleTarget, setVisibleTarget] = useState(PAGE_SIZE); // keep loading until this many results pass the filters
+  const searchController = useRef(null);
+  const sentinelRef = useRef(null);
   const [selectedMeal, setSelectedMeal] = useState(null);
-  const [favourites, setFavourites] = useState([]);
+  const [linkedMealId, setLinkedMealId] = useState(initialUrl.mealId); // ?meal= waiting to be looked up
+  const [favourites, setFavourites] = usePersistentState(scoped(FAVOURITES_KEY), []);
+  const [view, setView] = useState("search"); // "search" | "favourites" | "shopping" | "mine" | "editor"
+  const [myRecipes, setMyRecipes] = usePersistentState(MY_RECIPES_KEY, []);
+  const [editing, setEditing] = useState(null); // { base, isNew, returnTo } while the recipe editor is open
+  const [shoppingList, setShoppingList] = usePersistentState(scoped(SHOPPING_KEY), EMPTY_SHOPPING_LIST);
+  const [plan, setPlan] = usePersistentState(scoped(PLANNER_KEY), {});
+  const [showPlanner, setShowPlanner] = useState(false);
+  const [cooking, setCooking] = useState(null); // meal shown in cooking mode
+  const plannerRef = useRef(null);
+  // Measures follow the language (see LOCALES in lib/i18n) until the user picks a system
+  const [unitsChoice, setUnits] = usePersistentState(scoped("units"), null); // see UNIT_SYSTEMS in lib/measures
+  const units = unitsChoice || localeInfo(locale).units;
+  const online = useOnlineStatus();
 
   // Load ingredients list once
   useEffect(() => {
-    API.listIngredients()
+    const controller = new AbortController();
+    API.listIngredients({ signal: controller.signal })
       .then((d) => {
         const names = (d?.meals || [])
           .map((x) => x?.strIngredient)
@@ -113,31 +204,86 @@ export default function App() {
           .sort((a, b) => a.localeCompare(b));
         setAllIngredients(names);
       })
-      .catch(() => setAllIngredients([]));
+      .catch((e) => {
+        if (!isAbortError(e)) setAllIngredients([]);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // Area and category lists for the Cuisine/Category filters
+  useEffect(() => {
+    const controller = new AbortController();
+    const load = (fn, field, set) =>
+      fn({ signal: controller.signal })
+        .then((d) => set((d?.meals || []).map((x) => x?.[field]).filter(Boolean)))
+        .catch((e) => {
+          if (!isAbortError(e)) set([]);
+        });
+    load(API.listAreas, "strArea", setAreaList);
+    load(API.listCategories, "strCategory", setCategoryList);
+    return () => controller.abort();
   }, []);
 
-  // Autosuggest list from query
-  const suggestions = useMemo(() => {
-    if (!debouncedQuery) return [];
-    const q = debouncedQuery.toLowerCase();
-    return allIngredients
-      .filter((n) => n.toLowerCase().includes(q) && !selectedIngredients.includes(n))
-      .slice(0, 10);
-  }, [debouncedQuery, allIngredients, selectedIngredients]);
+  // Autosuggest list from query, fuzzy-ranked (see lib/fuzzy)
+  // A leading "-" excludes, like in a web search: "-peanuts"
+  const excluding = excludeMode || query.trim().startsWith("-");
+  // The data source's ingredients plus any only our own recipes use
+  const ingredientNames = useMemo(() => {
+    const known = new Set(allIngredients.map((n) => n.toLowerCase()));
+    const extra = myRecipes.flatMap((m) => extractIngredients(m).map((x) => x.ingredient)).filter((n) => {
+      if (known.has(n.toLowerCase())) return false;
+      known.add(n.toLowerCase());
+      return true;
+    });
+    return extra.length ? [...allIngredients, ...extra].sort((a, b) => a.localeCompare(b)) : allIngredients;
+  }, [allIngredients, myRecipes]);
+  // Suggestions are matched on the names as shown in the active language
+  // (lib/i18n's glossary) but carry the English name the API is searched with
+  const namesByLabel = useMemo(() => {
+    const map = new Map();
+    for (const name of ingredientNames) {
+      const label = ingredientLabel(name, locale);
+      if (!map.has(label)) map.set(label, name);
+    }
+    return map;
+  }, [ingredientNames, locale]);
+  const suggestions = useMemo(
+    () =>
+      rankSuggestions(debouncedQuery.replace(/^\s*-\s*/, ""), [...namesByLabel.keys()], {
+        exclude: [...searchIngredients, ...excluded].map((x) => ingredientLabel(x)),
+      }).map((x) => ({ ...x, label: x.name, name: namesByLabel.get(x.name) })),
+    [debouncedQuery, namesByLabel, searchIngredients, excluded]
+  );
 
-  // Fetch meals when ingredients change
+  // Fetch the matching meal IDs when ingredients change. Filters don't refetch.
+  // Strict mode intersects the per-ingredient lists; pantry mode takes their
+  // union, ordered so meals using more of the pantry come first.
   useEffect(() => {
+    const controller = new AbortController();
+    searchController.current = controller;
+    const { signal } = controller;
     const run = async () => {
       setError("");
-      setMeals([]);
+      setOfflineResults(false);
+      setMatchIds([]);
+      setMealsById({});
+      setFailedIds([]);
+      setCursor(0);
+      setLoadingMore(false);
+      setVisibleTarget(PAGE_SIZE);
       setSelectedMeal(null);
-      if (selectedIngredients.length === 0) return;
+      if (searchIngredients.length === 0) return;
       setLoading(true);
       try {
         // For each ingredient, fetch list of meals; then intersect by id
         const lists = await Promise.all(
-          selectedIngredients.map((ing) => API.filterByIngredient(ing))
+          searchIngredients.map((ing) => API.filterByIngredient(ing, { signal }))
         );
+        setOfflineResults(lists.some((d) => d?.offline));
+        if (searchMode === "pantry") {
+          setMatchIds(rankByHits(lists.map((d) => (d?.meals || []).map((m) => m.idMeal))));
+          return;
+        }
         const mealSets = lists.map((d) => new Set((d?.meals || []).map((m) => m.idMeal)));
         // Intersect IDs
         let intersection = null;
@@ -145,84 +291,400 @@ export default function App() {
           if (!intersection) intersection = new Set(s);
           else intersection = new Set([...intersection].filter((x) => s.has(x)));
         }
-        const ids = [...(intersection || [])].slice(0, 20); // limit
-        // Lookup details
-        const details = await Promise.all(
-          ids.map(async (id) => {
-            const d = await API.lookupById(id);
-            return d?.meals?.[0];
-          })
-        );
-        const clean = details.filter(Boolean);
-        // Apply filters (cuisine, cook time, diet)
-        const filtered = clean.filter((meal) => {
-          const minutes = estimateCookTime(meal);
-          // Cuisine check — compare strArea & strCategory loosely
-          const area = (meal.strArea || "").toLowerCase();
-          const category = (meal.strCategory || "").toLowerCase();
-          const cuisineOk =
-            cuisines.length === 0 ||
-            cuisines.some((c) => area.includes(c.value.toLowerCase()) || category.includes(c.value.toLowerCase()));
-
-          const timeOk = minutes <= cookTime || cookTime >= 70; // 70+ represents more than an hour
-
-          const ings = extractIngredients(meal).map((x) => x.ingredient.toLowerCase());
-          const isVeg = !/(chicken|beef|pork|mutton|lamb|bacon|fish|shrimp|prawn|crab|clam|oyster|tuna|salmon)/i.test(
-            ings.join(" ")
-          );
-          const isSea = /(fish|shrimp|prawn|crab|clam|oyster|tuna|salmon)/i.test(ings.join(" ")) || category.includes("seafood");
-          const isDrink = /drink|beverage|shake|smoothie|cocktail|juice/i.test(
-            `${category} ${meal.strMeal}`
-          );
-
-          const dietOk =
-            diet.length === 0 ||
-            diet.some((d) =>
-              (d === "Veg" && isVeg) ||
-              (d === "Non-Veg" && !isVeg && !isDrink) ||
-              (d === "Sea-food" && isSea) ||
-              (d === "Drinks" && isDrink)
-            );
-
-          // Meal time (best-effort: look for keywords)
-          const mealTimeOk =
-            mealTimes.length === 0 ||
-            mealTimes.some((t) => new RegExp(t, "i").test(meal.strMeal) || new RegExp(t, "i").test(meal.strTags || ""));
-
-          return cuisineOk && timeOk && dietOk && mealTimeOk;
-        });
-
-        setMeals(filtered);
-        setSelectedMeal(filtered[0] || null);
+        setMatchIds([...(intersection || [])]);
       } catch (e) {
+        if (isAbortError(e)) return;
         console.error(e);
-        setError("Could not load recipes. Please try again.");
+        setError(t("results.error"));
       } finally {
-        setLoading(false);
+        if (!signal.aborted) setLoading(false);
       }
     };
     run();
-  }, [selectedIngredients, cuisines, cookTime, diet, mealTimes]);
+    return () => controller.abort();
+  }, [searchIngredients, searchMode]);
+
+  const meals = useMemo(() => matchIds.map((id) => mealsById[id]).filter(Boolean), [matchIds, mealsById]);
+  // Options also include areas/categories seen on loaded meals, in case the lists failed to load
+  const filterOptions = useMemo(
+    () => ({
+      cuisines: buildCuisineOptions([...(areaList || []), ...meals.map((m) => m.strArea)]),
+      categories: buildCategoryOptions([...(categoryList || []), ...meals.map((m) => m.strCategory)]),
+      diet: DIET_OPTIONS,
+      mealTimes: MEAL_TIME_OPTIONS,
+    }),
+    [areaList, categoryList, meals]
+  );
+  const filters = useMemo(
+    () => ({
+      cuisines: selectedOptions(filterOptions.cuisines, cuisines),
+      categories: selectedOptions(filterOptions.categories, categories),
+      cookTime: { minutes: cookTime, basis: timeBasis },
+      diet,
+      mealTimes,
+      excluded,
+      nutrition,
+    }),
+    [filterOptions, cuisines, categories, cookTime, timeBasis, diet, mealTimes, excluded, nutrition]
+  );
+  const filteredMeals = useMemo(
+    () => sortMeals(applyFilters(meals, filters), sortBy, searchIngredients),
+    [meals, filters, sortBy, searchIngredients]
+  );
+  const counts = useMemo(() => facetCounts(meals, filters, filterOptions), [meals, filters, filterOptions]);
+  const hasMore = cursor < matchIds.length;
+  const allFailed = matchIds.length > 0 && failedIds.length === matchIds.length;
+
+  // Look up the next page of details while fewer than `visibleTarget` meals pass the filters
+  useEffect(() => {
+    if (loadingMore || !hasMore || filteredMeals.length >= visibleTarget) return;
+    const signal = searchController.current?.signal;
+    const ids = matchIds.slice(cursor, cursor + PAGE_SIZE);
+    setCursor(cursor + ids.length);
+    setLoadingMore(true);
+    API.lookupMany(ids, { signal })
+      .then(({ meals: loaded, failed }) => {
+        setMealsById((m) => ({ ...m, ...Object.fromEntries(loaded.map((x) => [x.idMeal, x])) }));
+        setFailedIds((f) => [...f, ...failed]);
+      })
+      .catch((e) => {
+        if (isAbortError(e)) return;
+        console.error(e);
+        setFailedIds((f) => [...f, ...ids]);
+      })
+      .finally(() => {
+        if (!signal?.aborted) setLoadingMore(false);
+      });
+  }, [loadingMore, hasMore, filteredMeals.length, visibleTarget, matchIds, cursor]);
+
+  // Infinite scroll: ask for another page when the end of the grid comes into view.
+  // Re-observing whenever the result count changes re-checks a sentinel that is still visible.
+  const filteredCount = filteredMeals.length;
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el || loading || !hasMore || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((e) => e.isIntersecting)) {
+        setVisibleTarget((t) => (filteredCount >= t ? t + PAGE_SIZE : t));
+      }
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [filteredCount, hasMore, loading]);
+
+  // Bring the planner into view when it's opened from the profile menu
+  useEffect(() => {
+    if (showPlanner) plannerRef.current?.scrollIntoView?.({ behavior: "smooth", block: "start" });
+  }, [showPlanner]);
+
+  // Save the pictures of viewed and favourited recipes for offline use
+  // (their details are already kept by the API cache and the favourites)
+  const offlineImages = [selectedMeal?.strMealThumb, ...favourites.map((f) => f.strMealThumb)].filter(Boolean).join("\n");
+  useEffect(() => {
+    if (online && offlineImages) keepImagesOffline(offlineImages.split("\n"));
+  }, [online, offlineImages]);
+  const resultsGroup = t("planner.fromResults");
+  const favouritesGroup = t("planner.fromFavourites");
+  const plannerCandidates = useMemo(
+    () => [
+      { group: resultsGroup, meals: filteredMeals },
+      { group: favouritesGroup, meals: favourites.map((f) => f.meal) },
+    ],
+    [filteredMeals, favourites, resultsGroup, favouritesGroup]
+  );
+
+  // ----------------------------- Address bar -----------------------------
+  // A shared link names its own search mode; otherwise the saved one is kept
+  useEffect(() => {
+    if (initialUrl.hasSearch) setSearchMode(initialUrl.mode);
+  }, [initialUrl, setSearchMode]);
+
+  // Puts the search state a URL describes into effect. Used for back/forward,
+  // saved searches and a fresh start when switching profile (`keepMode` then,
+  // as the search mode is saved per profile).
+  const applyUrlState = useCallback(
+    (s, { keepMode = false } = {}) => {
+      const keep = (next) => (prev) => (sameList(prev, next) ? prev : next);
+      setSelectedIngredients(keep(s.ingredients));
+      setExcluded(keep(s.excluded));
+      if (!keepMode) setSearchMode(s.mode);
+      setCuisines(keep(s.cuisineLabels));
+      setCategories(keep(s.categoryLabels));
+      setCookTime(s.cookTime);
+      setTimeBasis(s.timeBasis);
+      setMealTimes(keep(s.mealTimes.filter((m) => MEAL_TIME_OPTIONS.includes(m))));
+      setDiet(keep(s.diet.filter((d) => DIET_OPTIONS.includes(d))));
+      setNutrition(s.nutrition);
+      setSortBy(s.sort);
+      setLinkedMealId(s.mealId);
+      if (!s.mealId) setSelectedMeal(null);
+      setView("search");
+    },
+    [setSearchMode]
+  );
+
+  // Back/forward: restore the search state the URL describes
+  useEffect(() => {
+    const onPop = () => applyUrlState(parseUrlState(window.location.search));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [applyUrlState]);
 
-  const addIngredient = (name) => {
+  // Open a linked recipe (?meal=52772) once its details are looked up
+  useEffect(() => {
+    if (!linkedMealId) return;
+    if (selectedMeal && String(selectedMeal.idMeal) === linkedMealId) {
+      setLinkedMealId(null);
+      return;
+    }
+    const controller = new AbortController();
+    API.lookupById(linkedMealId, { signal: controller.signal })
+      .then((d) => {
+        const meal = d?.meals?.[0];
+        if (meal) setSelectedMeal(meal);
+        else setLinkedMealId(null);
+      })
+      .catch((e) => {
+        if (!isAbortError(e)) setLinkedMealId(null);
+      });
+    return () => controller.abort();
+  }, [linkedMealId, selectedMeal]);
+
+  // Mirror the state into the URL: new searches push a history entry, the
+  // slider, sort order and selected recipe replace the current one
+  const urlState = {
+    ingredients: selectedIngredients,
+    excluded,
+    mode: searchMode,
+    cuisineLabels: cuisines,
+    categoryLabels: categories,
+    cookTime,
+    timeBasis,
+    mealTimes,
+    diet,
+    nutrition,
+    sort: sortBy,
+    mealId: selectedMeal ? String(selectedMeal.idMeal) : linkedMealId,
+  };
+  const urlSearch = buildUrlSearch(urlState);
+  useEffect(() => {
+    const current = window.location.search;
+    if (urlSearch === current) return;
+    const url = `${window.location.pathname}${urlSearch}${window.location.hash}`;
+    if (isNewHistoryEntry(current, urlSearch)) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+  }, [urlSearch]);
+
+  // Pre-select the first result of a new search
+  useEffect(() => {
+    if (!selectedMeal && !linkedMealId && filteredMeals.length > 0) setSelectedMeal(filteredMeals[0]);
+  }, [selectedMeal, linkedMealId, filteredMeals]);
+
+  const addIngredient = (raw) => {
+    const name = raw.replace(/^\s*-\s*/, "");
     if (!name) return;
-    if (selectedIngredients.includes(name)) return;
-    setSelectedIngredients((s) => [...s, name]);
+    if (excluding) {
+      if (!excluded.includes(name)) setExcluded((x) => [...x, name]);
+      setQuery("");
+      return;
+    }
+    if (searchIngredients.includes(name)) return;
+    setSearchIngredients((s) => [...s, name]);
     setQuery("");
   };
-  const removeIngredient = (name) => setSelectedIngredients((s) => s.filter((x) => x !== name));
+  // Enter without picking a suggestion: only known ingredients are searched, so
+  // a typo is corrected to the closest one and anything else — including a
+  // fragment like "ric" — is refused, leaving the suggestions to pick from.
+  // Exclusions may also name a whole group ("nuts"). Without an ingredient
+  // list (it failed to load) the text is taken as typed.
+  const submitQuery = (raw) => {
+    const text = raw.replace(/^\s*-\s*/, "").trim();
+    if (!text) return;
+    if ((excluding && flagForName(text)) || ingredientNames.length === 0) {
+      setSearchNotice("");
+      addIngredient(text);
+      return;
+    }
+    const label = closestName(text, [...namesByLabel.keys()]);
+    if (!label) {
+      setSearchNotice(t("search.unknown", { text }));
+      return;
+    }
+    setSearchNotice(label.toLowerCase() === text.toLowerCase() ? "" : t("search.corrected", { name: label, text }));
+    addIngredient(namesByLabel.get(label));
+  };
+  const removeIngredient = (name) => setSearchIngredients((s) => s.filter((x) => x !== name));
 
-  const toggleFavourite = (meal) => {
-    setFavourites((f) => {
-      const exists = f.find((x) => x.idMeal === meal.idMeal);
-      if (exists) return f.filter((x) => x.idMeal !== meal.idMeal);
-      return [...f, { idMeal: meal.idMeal, strMeal: meal.strMeal }];
-    });
+  const toggleFavourite = useCallback(
+    (meal) => {
+      setFavourites((f) => {
+        if (isFavourite(f, meal.idMeal)) return f.filter((x) => x.idMeal !== String(meal.idMeal));
+        return [...f, makeFavourite(meal)];
+      });
+    },
+    [setFavourites]
+  );
+  const exportFavourites = () =>
+    downloadText("recipe-ideas-favourites.json", serializeFavourites(favourites), "application/json");
+  const toggleShoppingList = (meal) =>
+    setShoppingList((l) => (isOnShoppingList(l, meal.idMeal) ? removeFromShoppingList(l, meal.idMeal) : addToShoppingList(l, meal)));
+  const selectedFavourite = selectedMeal && favourites.find((f) => f.idMeal === String(selectedMeal.idMeal));
+
+  // Own recipes. Saving writes storage straight away so a full quota (large
+  // uploaded pictures) can be reported in the editor.
+  const openEditor = (base, isNew) => {
+    setEditing((cur) => ({ base, isNew, returnTo: view === "editor" ? cur?.returnTo || "search" : view }));
+    setView("editor");
+  };
+  const saveOwnRecipe = (meal) => {
+    const next = saveRecipe(myRecipes, meal);
+    if (!saveJSON(MY_RECIPES_KEY, next)) return t("editor.error.tooLarge");
+    setMyRecipes(next);
+    setMealsById((m) => (m[meal.idMeal] ? { ...m, [meal.idMeal]: meal } : m));
+    setFavourites((f) =>
+      isFavourite(f, meal.idMeal)
+        ? updateFavourite(f, meal.idMeal, { meal, strMeal: meal.strMeal, strMealThumb: meal.strMealThumb, strCategory: meal.strCategory || "" })
+        : f
+    );
+    setSelectedMeal(meal);
+    setEditing(null);
+    setView("mine");
+    return null;
+  };
+  const deleteOwnRecipe = (id) => {
+    setMyRecipes((list) => list.filter((m) => m.idMeal !== id));
+    setFavourites((f) => f.filter((x) => x.idMeal !== id));
+    setMatchIds((ids) => ids.filter((x) => x !== id));
+    setSelectedMeal((m) => (m?.idMeal === id ? null : m));
+    setEditing(null);
+    setView("mine");
+  };
+
+  // ----------------------------- Profiles -----------------------------
+  const [newProfileName, setNewProfileName] = useState(null); // text of the "add profile" box while it's open
+  const [profileError, setProfileError] = useState("");
+
+  // Another profile starts from a clean search with its own default filters
+  const startSession = (d) => {
+    applyUrlState({ ...parseUrlState(""), diet: d.diet, cuisineLabels: d.cuisines }, { keepMode: true });
+    setQuery("");
+    setSearchNotice("");
+    setEditing(null);
+    setCooking(null);
+    setShowPlanner(false);
+  };
+  const switchProfile = (id) => {
+    profiles.signIn(id);
+    startSession(loadJSON(profileKey(id, DEFAULTS_KEY), EMPTY_DEFAULTS));
   };
+  const addProfile = (e) => {
+    e.preventDefault();
+    const error = profiles.create(newProfileName || "");
+    setProfileError(error || "");
+    if (error) return;
+    setNewProfileName(null);
+    setShowProfile(false);
+    startSession(EMPTY_DEFAULTS);
+  };
+  // Logging out drops the whole session: the address bar, the theme and all
+  // in-memory state (the app unmounts back to the profile picker)
+  const logout = () => {
+    window.history.replaceState(null, "", window.location.pathname);
+    document.documentElement.classList.remove("dark");
+    document.documentElement.lang = detectLocale();
+    profiles.signOut();
+  };
+  const deleteProfile = () => {
+    if (!window.confirm(t("profiles.confirmDelete", { name: profile.name }))) return;
+    window.history.replaceState(null, "", window.location.pathname);
+    document.documentElement.classList.remove("dark");
+    document.documentElement.lang = detectLocale();
+    profiles.remove(profile.id);
+  };
+
+  // Saved searches keep everything but the open recipe
+  const currentSearch = buildUrlSearch({ ...urlState, mealId: null });
+  const canSaveSearch = searchIngredients.length > 0 && !savedSearches.some((x) => x.search === currentSearch);
+  const saveSearch = () => {
+    const what = searchMode === "pantry" ? t("search.pantryName") : selectedIngredients.map((x) => ingredientLabel(x)).join(", ");
+    const name = [what, ...diet.map((d) => t(`diet.${d}`)), ...cuisines].filter(Boolean).join(" · ");
+    setSavedSearches((list) => [...list, { id: Date.now().toString(36), name, search: currentSearch }]);
+  };
+  const defaultsText = [...defaults.diet.map((d) => t(`diet.${d}`)), ...defaults.cuisines].join(", ");
+  // A new language also brings its own measurement units
+  const changeLocale = (id) => {
+    setLocale(id);
+    setUnits(null);
+  };
+
+  // ----------------------------- Keyboard -----------------------------
+  useEffect(() => {
+    if (!showProfile) return;
+    const container = profileRef.current;
+    focusableIn(container?.querySelector("[data-menu]"))[0]?.focus();
+    const onDown = (e) => {
+      if (!container?.contains(e.target)) setShowProfile(false);
+    };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [showProfile]);
+  const onProfileKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setShowProfile(false);
+      profileButtonRef.current?.focus();
+    } else if ((e.key === "ArrowDown" || e.key === "ArrowUp") && e.target.tagName !== "SELECT") {
+      e.preventDefault();
+      moveFocus(e.currentTarget, e.key === "ArrowDown" ? 1 : -1);
+    }
+  };
+  const menuAction = (fn) => () => {
+    setShowProfile(false);
+    fn();
+  };
+
+  // Results grid: roving focus and arrow keys, see useCardGrid
+  const searchInputRef = useRef(null);
+  const { gridRef, cardProps } = useCardGrid(filteredMeals.map((m) => m.idMeal), selectedMeal?.idMeal);
+
+  // Global shortcuts: "/" search, "f" favourite, "j"/"k" next/previous result
+  useEffect(() => {
+    const onKey = (e) => {
+      if (cooking || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isEditable(e.target)) return;
+      if (e.key === "/") {
+        e.preventDefault();
+        searchInputRef.current?.focus();
+      } else if (e.key === "f" && selectedMeal) {
+        toggleFavourite(selectedMeal);
+      } else if ((e.key === "j" || e.key === "k") && view === "search" && filteredMeals.length > 0) {
+        const at = filteredMeals.findIndex((m) => m.idMeal === selectedMeal?.idMeal);
+        const next = at === -1 ? 0 : Math.min(filteredMeals.length - 1, Math.max(0, at + (e.key === "j" ? 1 : -1)));
+        setSelectedMeal(filteredMeals[next]);
+        gridRef.current?.querySelectorAll("[data-card]")[next]?.focus();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [cooking, selectedMeal, filteredMeals, view, toggleFavourite, gridRef]);
+
+  // What the results live region says
+  let resultsStatus = "";
+  if (loading) resultsStatus = t("results.loading");
+  else if (searchIngredients.length > 0 && !error && !allFailed && !loadingMore) {
+    resultsStatus =
+      filteredMeals.length === 0 && !hasMore
+        ? t("results.none")
+        : t("results.status", { shown: filteredMeals.length, count: matchIds.length });
+  }
 
   // ----------------------------- UI -----------------------------
   return (
     <div className="min-h-screen bg-gray-50 text-gray-900 dark:bg-gray-950 dark:text-gray-100">
+      <a
+        href="#results"
+        className="sr-only focus:not-sr-only focus:fixed focus:top-2 focus:left-2 focus:z-50 focus:px-3 focus:py-2 focus:rounded-xl focus:bg-white focus:shadow dark:focus:bg-gray-900"
+      >
+        {t("app.skipToResults")}
+      </a>
       {/* Top Bar */}
       <header className="sticky top-0 z-20 bg-white/80 dark:bg-gray-900/80 backdrop-blur border-b border-gray-200 dark:border-gray-800">
         <div className="max-w-7xl mx-auto px-4 py-3 flex items-center justify-between">
@@ -234,38 +696,149 @@ export default function App() {
           </div>
 
           {/* Center: Title */}
-          <h1 className="text-xl sm:text-2xl font-semibold tracking-wide">Recipe Ideas</h1>
-
-          {/* Right: Profile with hover dropdown */}
-          <div
-            className="relative"
-            onMouseEnter={() => setShowProfile(true)}
-            onMouseLeave={() => setShowProfile(false)}
-          >
-            <div className="flex items-center gap-3 cursor-pointer">
-              <div className="w-9 h-9 rounded-full bg-gradient-to-br from-indigo-500 to-blue-500 grid place-items-center font-bold text-white">
-                T
+          <div className="flex items-center gap-2">
+            <h1 className="text-xl sm:text-2xl font-semibold tracking-wide">{t("app.title")}</h1>
+            {!online && (
+              <span role="status" className="px-2 py-0.5 rounded-full text-xs bg-gray-200 text-gray-700 dark:bg-gray-800 dark:text-gray-300" title={t("app.offlineHint")}>
+                {t("app.offline")}
+              </span>
+            )}
+          </div>
+
+          {/* Right: Profile menu */}
+          <div className="relative" ref={profileRef}>
+            <button
+              ref={profileButtonRef}
+              aria-haspopup="true"
+              aria-expanded={showProfile}
+              aria-controls="profile-menu"
+              onClick={() => setShowProfile((v) => !v)}
+              className="flex items-center gap-3 rounded-full focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-500"
+            >
+              <div className={classNames("w-9 h-9 rounded-full bg-gradient-to-br grid place-items-center font-bold text-white", profile.color)} aria-hidden="true">
+                {initialOf(profile.name)}
               </div>
-              <span className="hidden sm:inline-block">Taylor</span>
-            </div>
+              <span className="hidden sm:inline-block">{profile.name}</span>
+              <span className="sr-only">{t("menu.open")}</span>
+            </button>
             {showProfile && (
-              <div className="absolute right-0 mt-2 w-52 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl shadow-xl p-2">
-                <div className="px-3 py-2 text-sm text-gray-700 dark:text-gray-300">Logged in as <b>Taylor</b></div>
-                <button className="w-full text-left px-3 py-2 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-800" onClick={() => alert(JSON.stringify(favourites, null, 2))}>Favourites</button>
+              <div
+                id="profile-menu"
+                data-menu
+                onKeyDown={onProfileKeyDown}
+                className="absolute right-0 mt-2 w-72 max-h-[calc(100vh-5rem)] overflow-auto bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl shadow-xl p-2"
+              >
+                <div className="px-3 py-2 text-sm text-gray-700 dark:text-gray-300">{t("menu.loggedInAs")} <b>{profile.name}</b></div>
+                <button className="w-full text-left px-3 py-2 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-800" onClick={menuAction(() => setView("favourites"))}>{t("menu.favourites", { count: favourites.length })}</button>
+                <button className="w-full text-left px-3 py-2 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-800" onClick={menuAction(() => setView("shopping"))}>{t("menu.shopping", { count: shoppingList.recipes.length })}</button>
+                <button className="w-full text-left px-3 py-2 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-800" onClick={menuAction(() => setView("mine"))}>{t("menu.mine", { count: myRecipes.length })}</button>
+                <button className="w-full text-left px-3 py-2 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-800" onClick={menuAction(() => setShowPlanner(true))}>{t("planner.title")}</button>
+
+                <div className="px-3 pt-3 pb-1 text-xs font-medium text-gray-500">{t("menu.savedSearches")}</div>
+                {savedSearches.map((x) => (
+                  <div key={x.id} className="flex items-center gap-1">
+                    <button
+                      className="flex-1 min-w-0 text-left px-3 py-1.5 rounded-xl text-sm hover:bg-gray-100 dark:hover:bg-gray-800 truncate"
+                      title={x.name}
+                      onClick={menuAction(() => applyUrlState(parseUrlState(x.search)))}
+                    >
+                      {x.name}
+                    </button>
+                    <button
+                      className="px-2 py-1 rounded-lg text-xs text-gray-500 hover:text-red-600"
+                      aria-label={t("menu.deleteSavedSearch", { name: x.name })}
+                      onClick={() => setSavedSearches((list) => list.filter((y) => y.id !== x.id))}
+                    >✕</button>
+                  </div>
+                ))}
+                <button
+                  className="w-full text-left px-3 py-1.5 rounded-xl text-sm hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+                  disabled={!canSaveSearch}
+                  onClick={saveSearch}
+                >{t("menu.saveSearch")}</button>
+
+                <div className="px-3 pt-3 pb-1 text-xs font-medium text-gray-500">{t("menu.defaults")}</div>
+                <div className="px-3 text-xs text-gray-600 dark:text-gray-400">{defaultsText || t("menu.noDefaults")}</div>
+                <div className="flex gap-1 px-2 py-1">
+                  <button
+                    className="px-2 py-1 rounded-lg border text-xs hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+                    disabled={sameList(diet, defaults.diet) && sameList(cuisines, defaults.cuisines)}
+                    onClick={() => setDefaults({ diet, cuisines })}
+                    title={t("menu.useCurrentHint")}
+                  >{t("menu.useCurrent")}</button>
+                  <button
+                    className="px-2 py-1 rounded-lg border text-xs hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+                    disabled={!defaultsText}
+                    onClick={() => setDefaults(EMPTY_DEFAULTS)}
+                  >{t("common.clear")}</button>
+                </div>
                 <div className="px-3 py-2 flex items-center justify-between">
-                  <span>Themes</span>
-                  <div className="flex gap-1">
+                  <span id="theme-label">{t("menu.theme")}</span>
+                  <div className="flex gap-1" role="group" aria-labelledby="theme-label">
                     <button
+                      aria-pressed={theme === "light"}
                       className={classNames("px-2 py-1 rounded-lg border text-xs", theme === "light" ? "bg-gray-100 dark:bg-gray-800" : "")}
                       onClick={() => setTheme("light")}
-                    >Light</button>
+                    >{t("menu.light")}</button>
                     <button
+                      aria-pressed={theme === "dark"}
                       className={classNames("px-2 py-1 rounded-lg border text-xs", theme === "dark" ? "bg-gray-100 dark:bg-gray-800" : "")}
                       onClick={() => setTheme("dark")}
-                    >Dark</button>
+                    >{t("menu.dark")}</button>
                   </div>
                 </div>
-                <button className="w-full text-left px-3 py-2 rounded-xl hover:bg-red-50 dark:hover:bg-red-900/20 text-red-600" onClick={() => alert("Logged out")}>Logout</button>
+                <label className="px-3 py-2 flex items-center justify-between gap-2">
+                  <span>{t("menu.language")}</span>
+                  <select
+                    className="rounded-lg border bg-white dark:bg-gray-950 px-2 py-1 text-xs"
+                    value={locale}
+                    onChange={(e) => changeLocale(e.target.value)}
+                  >
+                    {LOCALES.map((l) => (
+                      <option key={l.id} value={l.id} lang={l.id}>{l.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <DataSourceSettings />
+
+                <div className="px-3 pt-3 pb-1 text-xs font-medium text-gray-500">{t("menu.switchProfile")}</div>
+                {profiles.profiles
+                  .filter((p) => p.id !== profile.id)
+                  .map((p) => (
+                    <button
+                      key={p.id}
+                      className="w-full flex items-center gap-2 text-left px-3 py-1.5 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-800"
+                      onClick={menuAction(() => switchProfile(p.id))}
+                    >
+                      <span className={classNames("w-6 h-6 rounded-full bg-gradient-to-br grid place-items-center text-xs font-bold text-white", p.color)} aria-hidden="true">
+                        {initialOf(p.name)}
+                      </span>
+                      {p.name}
+                    </button>
+                  ))}
+                {newProfileName == null ? (
+                  <button className="w-full text-left px-3 py-1.5 rounded-xl text-sm hover:bg-gray-100 dark:hover:bg-gray-800" onClick={() => setNewProfileName("")}>
+                    {t("menu.addProfile")}
+                  </button>
+                ) : (
+                  <form onSubmit={addProfile} noValidate className="px-2 py-1">
+                    <div className="flex gap-1">
+                      <input
+                        className="flex-1 min-w-0 px-2 py-1 rounded-lg border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 text-sm"
+                        aria-label={t("menu.newProfileName")}
+                        placeholder={t("menu.name")}
+                        value={newProfileName}
+                        onChange={(e) => setNewProfileName(e.target.value)}
+                      />
+                      <button type="submit" className="px-2 py-1 rounded-lg bg-emerald-500 text-white text-xs hover:bg-emerald-600">{t("common.add")}</button>
+                    </div>
+                    {profileError && <p role="alert" className="text-xs text-red-600 mt-1">{profileError}</p>}
+                  </form>
+                )}
+                <button className="w-full text-left px-3 py-1.5 rounded-xl text-sm text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20" onClick={deleteProfile}>
+                  {t("menu.deleteProfile")}
+                </button>
+                <button className="w-full text-left px-3 py-2 rounded-xl hover:bg-red-50 dark:hover:bg-red-900/20 text-red-600" onClick={logout}>{t("menu.logout")}</button>
               </div>
             )}
           </div>
@@ -275,55 +848,80 @@ export default function App() {
       {/* Main Grid: Left | Center | Right */}
       <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-12 gap-4 p-4">
         {/* Left: Filters */}
-        <aside className="lg:col-span-3 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4 h-max sticky top-20">
-          <h2 className="text-lg font-semibold mb-3">Filters</h2>
+        <aside aria-label={t("filters.title")} className="lg:col-span-3 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4 h-max sticky top-20">
+          <h2 className="text-lg font-semibold mb-3">{t("filters.title")}</h2>
 
           {/* Cuisine */}
           <section className="mb-5">
-            <h3 className="font-medium mb-2">Cuisine Type</h3>
-            <div className="space-y-2">
-              {cuisineOptions.map((opt) => (
-                <label key={opt.label} className="flex items-center gap-2">
-                  <input
-                    type="checkbox"
-                    className="accent-emerald-600"
-                    checked={!!cuisines.find((c) => c.label === opt.label)}
-                    onChange={(e) => {
-                      setCuisines((prev) =>
-                        e.target.checked ? [...prev, opt] : prev.filter((c) => c.label !== opt.label)
-                      );
-                    }}
-                  />
-                  <span>{opt.label}</span>
-                </label>
-              ))}
-            </div>
+            <FilterHeading title={t("filters.cuisine")} count={counts.sections.cuisines.matched} total={counts.total} />
+            <FacetList
+              name={t("filters.cuisines")}
+              options={filterOptions.cuisines}
+              selected={cuisines}
+              counts={counts.sections.cuisines.options}
+              showCounts={counts.total > 0}
+              onChange={setCuisines}
+              emptyText={areaList ? t("filters.noCuisines") : t("filters.loadingCuisines")}
+            />
+          </section>
+
+          {/* Category */}
+          <section className="mb-5">
+            <FilterHeading title={t("filters.category")} count={counts.sections.categories.matched} total={counts.total} />
+            <FacetList
+              name={t("filters.categories")}
+              options={filterOptions.categories}
+              selected={categories}
+              counts={counts.sections.categories.options}
+              showCounts={counts.total > 0}
+              onChange={setCategories}
+              emptyText={categoryList ? t("filters.noCategories") : t("filters.loadingCategories")}
+            />
           </section>
 
           {/* Cooking time */}
           <section className="mb-5">
-            <h3 className="font-medium mb-2">Cooking time</h3>
+            <FilterHeading title={t("filters.cookTime")} count={counts.sections.cookTime.matched} total={counts.total} />
+            <div className="flex gap-1 mb-2 text-xs" role="group" aria-label={t("filters.time.compare")}>
+              {TIME_BASES.map((b) => (
+                <button
+                  key={b.id}
+                  aria-pressed={timeBasis === b.id}
+                  onClick={() => setTimeBasis(b.id)}
+                  className={classNames(
+                    "px-2 py-1 rounded-lg border",
+                    timeBasis === b.id ? "bg-emerald-500 text-white border-emerald-500" : "hover:bg-gray-100 dark:hover:bg-gray-800"
+                  )}
+                >
+                  {t(b.labelKey)}
+                </button>
+              ))}
+            </div>
             <input
               type="range"
               min={10}
-              max={90} // 70+ means more than an hour for our UI
+              max={COOK_TIME_ANY} // the top value means any time
               value={cookTime}
               step={5}
               onChange={(e) => setCookTime(parseInt(e.target.value))}
               className="w-full"
+              aria-label={t("filters.time.max")}
             />
-            <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">Up to: <b>{cookTime >= 70 ? "> 1 hr" : `${cookTime} mins`}</b></div>
+            <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              {timeBasis === "active" ? t("filters.time.activeUpTo") : t("filters.time.upTo")}: <b>{cookTime >= COOK_TIME_ANY ? t("filters.time.any") : formatDuration(cookTime)}</b>
+            </div>
           </section>
 
           {/* Meal Time */}
           <section className="mb-5">
-            <h3 className="font-medium mb-2">Meal Time</h3>
+            <FilterHeading title={t("filters.mealTime")} count={counts.sections.mealTimes.matched} total={counts.total} />
             <div className="flex flex-wrap gap-2">
-              {["Breakfast", "Lunch", "Snack", "Dinner"].map((m) => {
+              {MEAL_TIME_OPTIONS.map((m) => {
                 const active = mealTimes.includes(m);
                 return (
                   <button
                     key={m}
+                    aria-pressed={active}
                     onClick={() =>
                       setMealTimes((prev) => (active ? prev.filter((x) => x !== m) : [...prev, m]))
                     }
@@ -332,7 +930,8 @@ export default function App() {
                       active ? "bg-emerald-500 text-white border-emerald-500" : "hover:bg-gray-100 dark:hover:bg-gray-800"
                     )}
                   >
-                    {m}
+                    {t(`mealTime.${m}`)}
+                    {counts.total > 0 && <span className="ml-1 opacity-70">{counts.sections.mealTimes.options[m]}</span>}
                   </button>
                 );
               })}
@@ -340,146 +939,398 @@ export default function App() {
           </section>
 
           {/* Diet Preference */}
-          <section>
-            <h3 className="font-medium mb-2">Diet Preference</h3>
+          <section className="mb-5">
+            <FilterHeading title={t("filters.diet")} count={counts.sections.diet.matched} total={counts.total} />
             <div className="flex flex-wrap gap-2">
-              {["Veg", "Non-Veg", "Sea-food", "Drinks"].map((m) => {
+              {DIET_OPTIONS.map((m) => {
                 const active = diet.includes(m);
                 return (
                   <button
                     key={m}
+                    aria-pressed={active}
                     onClick={() => setDiet((prev) => (active ? prev.filter((x) => x !== m) : [...prev, m]))}
                     className={classNames(
                       "px-3 py-1 rounded-full border text-sm",
                       active ? "bg-indigo-500 text-white border-indigo-500" : "hover:bg-gray-100 dark:hover:bg-gray-800"
                     )}
                   >
-                    {m}
+                    {t(`diet.${m}`)}
+                    {counts.total > 0 && <span className="ml-1 opacity-70">{counts.sections.diet.options[m]}</span>}
                   </button>
                 );
               })}
             </div>
           </section>
+
+          {/* Nutrition */}
+          <section>
+            <FilterHeading title={t("nutrition.title")} count={counts.sections.nutrition.matched} total={counts.total} />
+            <NutritionFilter value={nutrition} onChange={setNutrition} />
+          </section>
         </aside>
 
         {/* Center: Search + Results */}
-        <main className="lg:col-span-6 space-y-4">
+        <main id="results" tabIndex={-1} className="lg:col-span-6 space-y-4 focus:outline-none">
           {/* Search Bar with autosuggest and chips */}
           <div className="bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4">
+            <div className="flex items-center gap-2 mb-3 text-sm">
+              {[
+                { id: "all", label: t("search.mode.all") },
+                { id: "pantry", label: t("search.mode.pantry") },
+              ].map((m) => (
+                <button
+                  key={m.id}
+                  aria-pressed={searchMode === m.id}
+                  onClick={() => setSearchMode(m.id)}
+                  className={classNames(
+                    "px-3 py-1 rounded-full border",
+                    searchMode === m.id ? "bg-emerald-500 text-white border-emerald-500" : "hover:bg-gray-100 dark:hover:bg-gray-800"
+                  )}
+                >
+                  {m.label}
+                </button>
+              ))}
+              {searchMode === "pantry" && pantry.length > 0 && (
+                <button className="ml-auto text-xs text-gray-500 hover:underline" onClick={() => setPantry([])}>{t("search.clearPantry")}</button>
+              )}
+            </div>
             <div className="flex flex-wrap gap-2 mb-3">
-              {selectedIngredients.map((ing) => (
+              {searchIngredients.map((ing) => (
                 <span key={ing} className="px-3 py-1 rounded-full bg-emerald-100 text-emerald-800 dark:bg-emerald-900/30 dark:text-emerald-200 text-sm flex items-center gap-2">
-                  {ing}
-                  <button onClick={() => removeIngredient(ing)} className="text-xs hover:opacity-75">✕</button>
+                  {ingredientLabel(ing)}
+                  <button
+                    onClick={() => removeIngredient(ing)}
+                    className="text-xs hover:opacity-75"
+                    aria-label={t("search.removeIngredient", { name: ingredientLabel(ing) })}
+                  >✕</button>
+                </span>
+              ))}
+              {excluded.map((ing) => (
+                <span key={`-${ing}`} className="px-3 py-1 rounded-full bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200 text-sm flex items-center gap-2">
+                  <span><span aria-hidden="true">−</span> {ingredientLabel(ing)}<span className="sr-only"> {t("search.excludedSuffix")}</span></span>
+                  <button
+                    onClick={() => setExcluded((x) => x.filter((y) => y !== ing))}
+                    className="text-xs hover:opacity-75"
+                    aria-label={t("search.removeExclusion", { name: ingredientLabel(ing) })}
+                  >✕</button>
                 </span>
               ))}
             </div>
 
-            <div className="relative">
-              <input
-                placeholder="Search ingredients… (e.g., chicken, tomato)"
-                className="w-full rounded-xl border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-950 px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            <div className="relative flex gap-2">
+              <IngredientCombobox
+                inputRef={searchInputRef}
                 value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                onKeyDown={(e) => {
-                  if (e.key === "Enter" && query.trim()) addIngredient(query.trim());
+                onChange={(v) => {
+                  setQuery(v);
+                  setSearchNotice("");
                 }}
+                suggestions={suggestions}
+                onSelect={addIngredient}
+                onSubmit={submitQuery}
+                actionLabel={excluding ? t("search.exclude") : null}
+                placeholder={
+                  excludeMode
+                    ? t("search.placeholder.exclude")
+                    : searchMode === "pantry"
+                      ? t("search.placeholder.pantry")
+                      : t("search.placeholder.all")
+                }
+                className={classNames(
+                  "w-full rounded-xl border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-950 px-4 py-3 focus:outline-none focus:ring-2",
+                  excluding ? "focus:ring-red-500" : "focus:ring-emerald-500"
+                )}
               />
-              {suggestions.length > 0 && (
-                <div className="absolute z-10 mt-1 w-full bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-xl shadow-lg max-h-64 overflow-auto">
-                  {suggestions.map((s) => (
-                    <button
-                      key={s}
-                      onClick={() => addIngredient(s)}
-                      className="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-800"
-                    >
-                      {s}
-                    </button>
-                  ))}
-                </div>
-              )}
+              <button
+                aria-pressed={excludeMode}
+                title={t("search.excludeHint")}
+                onClick={() => setExcludeMode((v) => !v)}
+                className={classNames(
+                  "px-3 rounded-xl border text-sm shrink-0",
+                  excludeMode ? "bg-red-500 text-white border-red-500" : "hover:bg-gray-100 dark:hover:bg-gray-800"
+                )}
+              >
+                {t("search.exclude")}
+              </button>
+            </div>
+            <div role="status" className={classNames("text-sm mt-2", searchNotice ? "text-amber-700 dark:text-amber-400" : "sr-only")}>
+              {searchNotice}
+            </div>
+            <div className="text-xs text-gray-500 mt-2">
+              {searchMode === "pantry" ? t("search.tip.pantry") : t("search.tip.all")} {t("search.tip.exclude")}
             </div>
-            <div className="text-xs text-gray-500 mt-2">Tip: Add multiple ingredients and we’ll find recipes containing all of them.</div>
           </div>
 
-          {/* Results grid */}
-          <div className="min-h-[12rem]">
-            {loading && (
-              <div className="grid place-items-center h-48 text-gray-500">Loading recipes…</div>
-            )}
-            {!loading && error && (
-              <div className="p-4 rounded-xl bg-red-50 text-red-700 border border-red-200">{error}</div>
-            )}
-            {!loading && !error && meals.length === 0 && selectedIngredients.length > 0 && (
-              <div className="p-4 rounded-xl bg-yellow-50 text-yellow-800 border border-yellow-200">No results matched your filters.</div>
-            )}
+          {view === "favourites" ? (
+            <FavouritesPanel
+              favourites={favourites}
+              selectedId={selectedMeal ? String(selectedMeal.idMeal) : null}
+              onSelect={(f) => setSelectedMeal(f.meal)}
+              onRemove={(id) => setFavourites((f) => f.filter((x) => x.idMeal !== id))}
+              onImport={(list) => setFavourites((f) => mergeFavourites(f, list))}
+              onExport={exportFavourites}
+              onClose={() => setView("search")}
+            />
+          ) : view === "mine" ? (
+            <MyRecipesPanel
+              recipes={myRecipes}
+              selectedId={selectedMeal ? String(selectedMeal.idMeal) : null}
+              onSelect={setSelectedMeal}
+              onEdit={(meal) => openEditor(meal, false)}
+              onNew={() => openEditor(newDraft(), true)}
+              onClose={() => setView("search")}
+            />
+          ) : view === "editor" && editing ? (
+            <RecipeEditor
+              key={editing.base.idMeal}
+              base={editing.base}
+              isNew={editing.isNew}
+              ingredientNames={ingredientNames}
+              areas={areaList || []}
+              categories={categoryList || []}
+              onSave={saveOwnRecipe}
+              onDelete={deleteOwnRecipe}
+              onCancel={() => {
+                setEditing(null);
+                setView(editing.returnTo);
+              }}
+            />
+          ) : view === "shopping" ? (
+            <ShoppingListPanel
+              list={shoppingList}
+              units={units}
+              onChange={setShoppingList}
+              onClose={() => setView("search")}
+            />
+          ) : (
+            /* Results grid */
+            <div className="min-h-[12rem]">
+              <div role="status" className="sr-only">{resultsStatus}</div>
+              {(loading || (loadingMore && meals.length === 0)) && (
+                <div className="grid place-items-center h-48 text-gray-500">{t("results.loading")}</div>
+              )}
+              {!loading && (error || allFailed) && (
+                <div role="alert" className="p-4 rounded-xl bg-red-50 text-red-700 border border-red-200">{error || t("results.error")}</div>
+              )}
+              {!loading && offlineResults && (
+                <div role="status" className="p-4 mb-4 rounded-xl bg-gray-100 text-gray-700 border border-gray-200 dark:bg-gray-900 dark:text-gray-300 dark:border-gray-800">
+                  {t("results.offline")}
+                </div>
+              )}
+              {!loading && !allFailed && failedIds.length > 0 && (
+                <div role="status" className="p-4 mb-4 rounded-xl bg-yellow-50 text-yellow-800 border border-yellow-200">
+                  {t("results.failed", { count: failedIds.length })}
+                </div>
+              )}
+              {!loading && !loadingMore && !hasMore && !error && !allFailed && filteredMeals.length === 0 && searchIngredients.length > 0 && (
+                <div className="p-4 rounded-xl bg-yellow-50 text-yellow-800 border border-yellow-200">{t("results.none")}</div>
+              )}
+              {meals.length > 0 && (
+                <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-gray-600 dark:text-gray-400 mb-3">
+                  <span>
+                    {t("results.showing", { shown: filteredMeals.length, count: meals.length })}
+                    {matchIds.length > meals.length && ` ${t("results.totalMatches", { count: matchIds.length })}`}
+                  </span>
+                  <label className="flex items-center gap-2">
+                    {t("sort.label")}
+                    <select
+                      className="rounded-lg border bg-white dark:bg-gray-950 px-2 py-1"
+                      value={sortBy}
+                      onChange={(e) => setSortBy(e.target.value)}
+                    >
+                      {SORT_OPTIONS.map((o) => (
+                        <option key={o.id} value={o.id}>{t(o.labelKey)}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              )}
 
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-              {meals.map((meal) => {
-                const minutes = estimateCookTime(meal);
-                return (
-                  <article
-                    key={meal.idMeal}
-                    onClick={() => setSelectedMeal(meal)}
-                    className={classNames(
-                      "cursor-pointer bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl overflow-hidden hover:shadow-md transition",
-                      selectedMeal?.idMeal === meal.idMeal ? "ring-2 ring-emerald-500" : ""
-                    )}
-                  >
-                    <img src={meal.strMealThumb} alt={meal.strMeal} className="w-full aspect-video object-cover" />
-                    <div className="p-3">
-                      <div className="flex items-start justify-between gap-2">
-                        <h4 className="font-semibold line-clamp-1" title={meal.strMeal}>{meal.strMeal}</h4>
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            toggleFavourite(meal);
-                          }}
-                          className="text-xl"
-                          title="Toggle Favourite"
-                        >
-                          {favourites.find((f) => f.idMeal === meal.idMeal) ? "★" : "☆"}
-                        </button>
-                      </div>
-                      <div className="text-sm text-gray-600 dark:text-gray-400 flex items-center justify-between mt-1">
-                        <span>{meal.strCategory || "—"}</span>
-                        <span>{formatMinutes(minutes)}</span>
+              <div ref={gridRef} role="list" aria-label={t("results.label")} className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {filteredMeals.map((meal, index) => {
+                  const time = cookTimeOf(meal);
+                  const kcal = nutritionOf(meal)?.perServing.kcal;
+                  const match = searchMode === "pantry" ? pantryMatch(meal, pantry) : null;
+                  const flags = mealFlags(meal);
+                  const allergens = ALLERGENS.filter((a) => flags[a]);
+                  return (
+                    <article
+                      key={meal.idMeal}
+                      role="listitem"
+                      {...cardProps(meal.idMeal, index, () => setSelectedMeal(meal))}
+                      aria-labelledby={`card-title-${meal.idMeal}`}
+                      aria-current={selectedMeal?.idMeal === meal.idMeal ? "true" : undefined}
+                      draggable
+                      onDragStart={(e) => setMealDragData(e, meal)}
+                      onClick={() => setSelectedMeal(meal)}
+                      className={classNames(
+                        "cursor-pointer bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl overflow-hidden hover:shadow-md transition focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500",
+                        selectedMeal?.idMeal === meal.idMeal ? "ring-2 ring-emerald-500" : ""
+                      )}
+                    >
+                      <img src={meal.strMealThumb} alt="" className="w-full aspect-video object-cover" />
+                      <div className="p-3">
+                        <div className="flex items-start justify-between gap-2">
+                          <h4 id={`card-title-${meal.idMeal}`} className="font-semibold line-clamp-1" title={meal.strMeal}>{meal.strMeal}</h4>
+                          <div className="flex items-center gap-1 shrink-0">
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                toggleShoppingList(meal);
+                              }}
+                              className={classNames("text-lg", !isOnShoppingList(shoppingList, meal.idMeal) && "opacity-40 hover:opacity-100")}
+                              title={isOnShoppingList(shoppingList, meal.idMeal) ? t("card.removeFromList") : t("card.addToList")}
+                              aria-label={t(isOnShoppingList(shoppingList, meal.idMeal) ? "card.removeMealFromList" : "card.addMealToList", { name: meal.strMeal })}
+                              aria-pressed={isOnShoppingList(shoppingList, meal.idMeal)}
+                            >
+                              🛒
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                toggleFavourite(meal);
+                              }}
+                              className="text-xl"
+                              title={t("card.favouriteHint")}
+                              aria-label={t("card.favourite", { name: meal.strMeal })}
+                              aria-pressed={isFavourite(favourites, meal.idMeal)}
+                            >
+                              {isFavourite(favourites, meal.idMeal) ? "★" : "☆"}
+                            </button>
+                          </div>
+                        </div>
+                        <div className="text-sm text-gray-600 dark:text-gray-400 flex items-center justify-between mt-1">
+                          <span className="flex items-center gap-2">
+                            {meal.strCategory || "—"}
+                            {isOwnRecipe(meal) && <OwnBadge />}
+                          </span>
+                          <span>
+                            {formatMinutes(time.total[0], time.total[1])}
+                            {kcal != null && <span title={t("nutrition.cardHint")}> · {t("nutrition.cardKcal", { kcal })}</span>}
+                          </span>
+                        </div>
+                        {allergens.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2" aria-label={t("card.contains")}>
+                            {allergens.map((a) => (
+                              <span
+                                key={a}
+                                title={`${t(`flag.${a}`)}: ${flags[a].join(", ")}`}
+                                className="px-2 py-0.5 rounded-full text-xs bg-amber-50 text-amber-800 border border-amber-200 dark:bg-amber-900/20 dark:text-amber-200 dark:border-amber-800"
+                              >
+                                {t(`flag.${a}`)}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {match && (
+                          <div className="text-xs mt-2">
+                            <span className="font-medium text-emerald-700 dark:text-emerald-400">{t("card.have", { have: match.have.length, total: match.total })}</span>
+                            {match.missing.length > 0 && (
+                              <span className="text-gray-500" title={match.missing.map((x) => ingredientLabel(x)).join(", ")}>
+                                , {t("card.missing")} {match.missing.slice(0, 3).map((x) => ingredientLabel(x)).join(", ").toLowerCase()}
+                                {match.missing.length > 3 && ` ${t("card.more", { count: match.missing.length - 3 })}`}
+                              </span>
+                            )}
+                          </div>
+                        )}
                       </div>
-                    </div>
-                  </article>
-                );
-              })}
+                    </article>
+                  );
+                })}
+              </div>
+
+              {hasMore && !loading && (
+                <div ref={sentinelRef} className="grid place-items-center py-6">
+                  {loadingMore ? (
+                    <span className="text-sm text-gray-500">{t("results.loadingMore")}</span>
+                  ) : (
+                    <button
+                      className="px-4 py-2 rounded-xl border text-sm hover:bg-gray-100 dark:hover:bg-gray-800"
+                      onClick={() => setVisibleTarget((t) => Math.max(t, filteredMeals.length) + PAGE_SIZE)}
+                    >
+                      {t("results.loadMore")}
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
-          </div>
+          )}
         </main>
 
         {/* Right: Details */}
-        <aside className="lg:col-span-3 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4 h-max sticky top-20">
-          <h2 className="text-lg font-semibold mb-3">Details</h2>
+        <aside aria-labelledby="details-heading" className="lg:col-span-3 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4 h-max sticky top-20">
+          <h2 id="details-heading" className="text-lg font-semibold mb-3">{t("details.title")}</h2>
           {!selectedMeal ? (
-            <div className="text-sm text-gray-600 dark:text-gray-400">Select a recipe to see details.</div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">{t("details.empty")}</div>
           ) : (
             <div>
               <div className="flex items-center gap-3 mb-3">
                 <img src={selectedMeal.strMealThumb} alt={selectedMeal.strMeal} className="w-16 h-16 rounded-xl object-cover" />
                 <div>
                   <h3 className="text-lg font-semibold">{selectedMeal.strMeal}</h3>
-                  <div className="text-sm text-gray-600 dark:text-gray-400">Category: <b>{selectedMeal.strCategory || "—"}</b></div>
-                  <div className="text-sm text-gray-600 dark:text-gray-400">Time Taken: <b>{formatMinutes(estimateCookTime(selectedMeal))}</b></div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">{t("details.category")} <b>{selectedMeal.strCategory || "—"}</b></div>
+                  {isOwnRecipe(selectedMeal) && (
+                    <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                      <OwnBadge />
+                      {selectedMeal.forkedFrom && <span>{t("mine.basedOn", { name: selectedMeal.forkedFrom.strMeal })}</span>}
+                    </div>
+                  )}
                 </div>
               </div>
+              <CookTimeBreakdown meal={selectedMeal} />
+              <NutritionFacts meal={selectedMeal} />
 
-              <div className="mb-4">
-                <h4 className="font-medium mb-1">Required Ingredients</h4>
-                <ul className="list-disc pl-5 space-y-1">
-                  {extractIngredients(selectedMeal).map((x, i) => (
-                    <li key={i}><span className="font-medium">{x.ingredient}</span>{x.measure ? ` — ${x.measure}` : ""}</li>
-                  ))}
-                </ul>
+              <div className="flex flex-wrap gap-2 mb-4">
+                <button
+                  className="px-3 py-1 rounded-lg border text-sm hover:bg-gray-100 dark:hover:bg-gray-800"
+                  onClick={() => toggleFavourite(selectedMeal)}
+                >
+                  {selectedFavourite ? t("details.saved") : t("details.save")}
+                </button>
+                <button
+                  className="px-3 py-1 rounded-lg text-sm bg-emerald-500 text-white hover:bg-emerald-600"
+                  onClick={() => setCooking(selectedMeal)}
+                >
+                  {t("details.startCooking")}
+                </button>
+                {isOwnRecipe(selectedMeal) ? (
+                  <button
+                    className="px-3 py-1 rounded-lg border text-sm hover:bg-gray-100 dark:hover:bg-gray-800"
+                    onClick={() => openEditor(selectedMeal, false)}
+                  >
+                    {t("details.edit")}
+                  </button>
+                ) : (
+                  <button
+                    className="px-3 py-1 rounded-lg border text-sm hover:bg-gray-100 dark:hover:bg-gray-800"
+                    title={t("details.forkHint")}
+                    onClick={() => openEditor(newDraft(selectedMeal), true)}
+                  >
+                    {t("details.fork")}
+                  </button>
+                )}
               </div>
+              <RecipeExport key={selectedMeal.idMeal} meal={selectedMeal} favourite={selectedFavourite} />
+
+              {selectedFavourite && (
+                <FavouriteEditor
+                  key={selectedFavourite.idMeal}
+                  favourite={selectedFavourite}
+                  onChange={(patch) => setFavourites((f) => updateFavourite(f, selectedFavourite.idMeal, patch))}
+                />
+              )}
+
+              <IngredientList
+                key={selectedMeal.idMeal}
+                meal={selectedMeal}
+                units={units}
+                onUnitsChange={setUnits}
+                onShoppingList={isOnShoppingList(shoppingList, selectedMeal.idMeal)}
+                onAddToShoppingList={(servings) => setShoppingList((l) => addToShoppingList(l, selectedMeal, servings))}
+              />
 
               <div>
-                <h4 className="font-medium mb-1">Procedure</h4>
+                <h4 className="font-medium mb-1">{t("details.procedure")}</h4>
                 <div className="prose prose-sm dark:prose-invert max-w-none whitespace-pre-wrap">
                   {selectedMeal.strInstructions || "—"}
                 </div>
@@ -489,9 +1340,27 @@ export default function App() {
         </aside>
       </div>
 
+      {/* Bottom: weekly planner, full width so result cards can be dragged onto it */}
+      {showPlanner && (
+        <div ref={plannerRef} className="max-w-7xl mx-auto px-4 pb-4 scroll-mt-20">
+          <MealPlanner
+            plan={plan}
+            onChange={setPlan}
+            candidates={plannerCandidates}
+            onOpenMeal={setSelectedMeal}
+            onClose={() => setShowPlanner(false)}
+          />
+        </div>
+      )}
+
+      {cooking && <CookingMode meal={cooking} units={units} onClose={() => setCooking(null)} />}
+
       {/* Footer tiny note */}
       <footer className="max-w-7xl mx-auto px-4 pb-6 text-xs text-gray-500">
-        Data from TheMealDB (public API). This is a demo app.
+        {API.source.id === "mealdb" ? t("footer.mealdb") : t("footer.source", { source: API.source.label })} {t("footer.demo")}
+        <span className="hidden sm:inline">
+          {" "}{t("footer.shortcuts")} <kbd>/</kbd> {t("footer.search")} · <kbd>j</kbd>/<kbd>k</kbd> {t("footer.nextPrevious")} · <kbd>f</kbd> {t("footer.favourite")}
+        </span>
       </footer>
     </div>
   );
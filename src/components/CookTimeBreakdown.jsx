@@ -0,0 +1,49 @@
+import React from "react";
+import { cookTimeOf } from "../lib/cookTime";
+import { t } from "../lib/i18n";
+import { formatDuration, formatMinutes } from "../lib/recipe";
+
+function range([min, max]) {
+  return max > min ? `${formatDuration(min)} – ${formatDuration(max)}` : formatDuration(min);
+}
+
+// Prep / hands-on / waiting split for the Details panel, with the durations
+// from the method it was worked out from
+export default function CookTimeBreakdown({ meal }) {
+  const time = cookTimeOf(meal);
+  const rows = [
+    { label: t("cookTime.prep"), value: formatDuration(time.prep), hint: t("cookTime.prepHint") },
+    { label: t("cookTime.active"), value: range(time.active), hint: time.estimated ? t("cookTime.estimated") : null },
+    { label: t("cookTime.passive"), value: time.passive[1] ? range(time.passive) : "—", hint: t("cookTime.passiveHint") },
+  ];
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="text-gray-600 dark:text-gray-400">
+        {t("cookTime.total")} <b>{formatMinutes(time.total[0], time.total[1])}</b>
+      </div>
+      <dl className="grid grid-cols-3 gap-2 mt-2">
+        {rows.map((r) => (
+          <div key={r.label} className="rounded-xl border border-gray-200 dark:border-gray-800 px-2 py-1.5" title={r.hint || undefined}>
+            <dt className="text-xs text-gray-500">{r.label}</dt>
+            <dd className="font-medium">{r.value}</dd>
+          </div>
+        ))}
+      </dl>
+      {time.estimated ? (
+        <p className="text-xs text-gray-500 mt-1">{t("cookTime.noTimes")}</p>
+      ) : (
+        <details className="mt-1 text-xs text-gray-500">
+          <summary className="cursor-pointer">{t("cookTime.basedOn", { count: time.evidence.length })}</summary>
+          <ul className="mt-1 space-y-0.5">
+            {time.evidence.map((e, i) => (
+              <li key={i}>
+                {t(e.kind === "passive" ? "cookTime.evidencePassive" : "cookTime.evidenceActive", { step: e.step + 1, text: e.text })}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
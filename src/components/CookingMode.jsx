@@ -0,0 +1,293 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { moveFocus } from "../lib/a11y";
+import { findDurations, formatClock } from "../lib/durations";
+import { t } from "../lib/i18n";
+import { displayMeasure } from "../lib/measures";
+import { extractIngredients } from "../lib/recipe";
+import { splitSteps, stepIngredients } from "../lib/steps";
+import { classNames } from "../lib/utils";
+
+// Keeps the screen on while mounted, where the Screen Wake Lock API exists.
+// The lock is dropped by the browser when the tab is hidden, so it's
+// re-requested when the page becomes visible again.
+function useWakeLock() {
+  const [locked, setLocked] = useState(false);
+  useEffect(() => {
+    if (!("wakeLock" in navigator)) return;
+    let lock = null;
+    let cancelled = false;
+    const request = async () => {
+      try {
+        lock = await navigator.wakeLock.request("screen");
+        if (cancelled) return lock.release();
+        setLocked(true);
+        lock.addEventListener("release", () => setLocked(false));
+      } catch {
+        setLocked(false);
+      }
+    };
+    const onVisible = () => {
+      if (document.visibilityState === "visible") request();
+    };
+    request();
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", onVisible);
+      lock?.release().catch(() => {});
+    };
+  }, []);
+  return locked;
+}
+
+function beep() {
+  try {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    [0, 0.4, 0.8].forEach((t) => {
+      const osc = ctx.createOscillator();
+      osc.frequency.value = 880;
+      osc.connect(ctx.destination);
+      osc.start(ctx.currentTime + t);
+      osc.stop(ctx.currentTime + t + 0.25);
+    });
+    setTimeout(() => ctx.close(), 1500);
+  } catch {
+    // no audio available — the timer still shows as done
+  }
+  navigator.vibrate?.([200, 100, 200]);
+}
+
+// Full-screen, step-by-step view of a recipe. Timers live here rather than in
+// a step, so they keep running while the cook moves between steps.
+export default function CookingMode({ meal, units, onClose }) {
+  const steps = useMemo(() => splitSteps(meal.strInstructions), [meal]);
+  const ingredients = useMemo(() => extractIngredients(meal), [meal]);
+  const [index, setIndex] = useState(0);
+  const [showAll, setShowAll] = useState(false);
+  const [timers, setTimers] = useState([]); // { id, label, step, total, remaining, endsAt, done }
+  const [now, setNow] = useState(() => Date.now());
+  const containerRef = useRef(null);
+  const wakeLocked = useWakeLock();
+
+  const step = steps[index] || "";
+  const durations = useMemo(() => findDurations(step), [step]);
+  const shown = showAll ? ingredients : stepIngredients(step, ingredients);
+
+  const go = useCallback((delta) => setIndex((i) => Math.min(steps.length - 1, Math.max(0, i + delta))), [steps.length]);
+
+  // Full screen is best-effort; the overlay already covers the page without it
+  useEffect(() => {
+    containerRef.current?.requestFullscreen?.().catch(() => {});
+    return () => {
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    };
+  }, []);
+
+  // Focus moves into the dialog while it's open and goes back to whatever
+  // opened it on close
+  useEffect(() => {
+    const opener = document.activeElement;
+    containerRef.current?.focus();
+    return () => opener?.focus?.();
+  }, []);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Tab") {
+        // Keep Tab inside the dialog, wrapping at either end
+        e.preventDefault();
+        moveFocus(containerRef.current, e.shiftKey ? -1 : 1);
+        return;
+      }
+      if (e.target.closest?.("input, textarea, select")) return;
+      if (e.key === " " && e.target.closest?.("button, a")) return; // Space presses the focused button
+      if (e.key === "ArrowRight" || e.key === "PageDown" || e.key === " ") {
+        e.preventDefault();
+        go(1);
+      } else if (e.key === "ArrowLeft" || e.key === "PageUp") {
+        e.preventDefault();
+        go(-1);
+      } else if (e.key === "Home") setIndex(0);
+      else if (e.key === "End") setIndex(steps.length - 1);
+      else if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [go, onClose, steps.length]);
+
+  // Tick once a second while any timer runs, and ring the ones that finish
+  const timersRef = useRef(timers);
+  useEffect(() => {
+    timersRef.current = timers;
+  }, [timers]);
+  const running = timers.some((t) => t.endsAt && !t.done);
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => {
+      const t = Date.now();
+      setNow(t);
+      const finished = timersRef.current.filter((timer) => timer.endsAt && !timer.done && timer.endsAt <= t).map((x) => x.id);
+      if (finished.length === 0) return;
+      beep();
+      setTimers((list) =>
+        list.map((timer) => (finished.includes(timer.id) ? { ...timer, done: true, remaining: 0, endsAt: null } : timer))
+      );
+    }, 1000);
+    return () => clearInterval(id);
+  }, [running]);
+
+  const remainingOf = (t) => (t.endsAt ? Math.max(0, (t.endsAt - now) / 1000) : t.remaining);
+
+  const addTimer = (d) => {
+    const start = Date.now();
+    setNow(start);
+    setTimers((list) => [
+      ...list,
+      {
+        id: `${start}-${list.length}`,
+        label: t("cooking.timerLabel", { step: index + 1, text: d.text }),
+        step: index,
+        total: d.seconds,
+        remaining: d.seconds,
+        endsAt: start + d.seconds * 1000,
+        done: false,
+      },
+    ]);
+  };
+  const pauseTimer = (id) => {
+    const at = Date.now();
+    setTimers((list) =>
+      list.map((t) => (t.id === id ? { ...t, remaining: Math.max(0, (t.endsAt - at) / 1000), endsAt: null } : t))
+    );
+  };
+  const resumeTimer = (id) => {
+    const start = Date.now();
+    setNow(start);
+    setTimers((list) => list.map((t) => (t.id === id ? { ...t, endsAt: start + t.remaining * 1000 } : t)));
+  };
+  const resetTimer = (id) =>
+    setTimers((list) => list.map((t) => (t.id === id ? { ...t, remaining: t.total, endsAt: null, done: false } : t)));
+  const removeTimer = (id) => setTimers((list) => list.filter((t) => t.id !== id));
+
+  const bigButton = "px-6 py-4 rounded-2xl text-lg font-semibold border disabled:opacity-40";
+
+  return (
+    <div
+      ref={containerRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t("cooking.label", { name: meal.strMeal })}
+      tabIndex={-1}
+      className="fixed inset-0 z-50 flex flex-col outline-none bg-white text-gray-900 dark:bg-gray-950 dark:text-gray-100"
+    >
+      <header className="flex items-center justify-between gap-3 px-4 py-3 border-b border-gray-200 dark:border-gray-800">
+        <div className="min-w-0">
+          <h2 className="text-lg font-semibold truncate">{meal.strMeal}</h2>
+          <div className="text-sm text-gray-500">
+            {t("cooking.progress", { step: Math.min(index + 1, steps.length), count: steps.length })}
+            {wakeLocked && ` · ${t("cooking.awake")}`}
+          </div>
+        </div>
+        <button className="px-4 py-2 rounded-xl border hover:bg-gray-100 dark:hover:bg-gray-800" onClick={onClose}>
+          {t("cooking.exit")}
+        </button>
+      </header>
+
+      <div className="flex-1 overflow-auto grid grid-cols-1 lg:grid-cols-3 gap-6 p-6 max-w-6xl w-full mx-auto">
+        <section className="lg:col-span-2">
+          {steps.length === 0 ? (
+            <p className="text-xl text-gray-500">{t("cooking.noSteps")}</p>
+          ) : (
+            <>
+              <div className="text-emerald-600 font-semibold mb-2">{t("cooking.step", { step: index + 1 })}</div>
+              <p className="text-2xl sm:text-3xl leading-relaxed" aria-live="polite">{step}</p>
+              {durations.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-6">
+                  {durations.map((d) => (
+                    <button
+                      key={`${d.index}-${d.text}`}
+                      className="px-4 py-2 rounded-xl bg-amber-100 text-amber-900 dark:bg-amber-900/30 dark:text-amber-200 font-medium"
+                      onClick={() => addTimer(d)}
+                    >
+                      {t("cooking.startTimer", { text: d.text })}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </section>
+
+        <aside>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold">{showAll ? t("cooking.allIngredients") : t("cooking.stepIngredients")}</h3>
+            <button className="text-sm text-emerald-600 hover:underline" onClick={() => setShowAll((v) => !v)}>
+              {showAll ? t("cooking.stepOnly") : t("cooking.showAll")}
+            </button>
+          </div>
+          {shown.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("cooking.noIngredients")}</p>
+          ) : (
+            <ul className="space-y-2 text-lg">
+              {shown.map((x, i) => {
+                const measure = displayMeasure(x.measure, { system: units });
+                return (
+                  <li key={i}>
+                    <span className="font-medium">{x.ingredient}</span>
+                    {measure && <span className="text-gray-500"> — {measure}</span>}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </aside>
+      </div>
+
+      {timers.length > 0 && (
+        <div className="border-t border-gray-200 dark:border-gray-800 px-4 py-2 flex flex-wrap gap-2 justify-center">
+          {timers.map((timer) => (
+            <div
+              key={timer.id}
+              className={classNames(
+                "flex items-center gap-2 px-3 py-2 rounded-xl border text-sm",
+                timer.done ? "bg-red-100 border-red-300 text-red-800 dark:bg-red-900/30 dark:text-red-200 animate-pulse" : ""
+              )}
+            >
+              <button className="text-left" title={timer.label} onClick={() => setIndex(timer.step)}>
+                <span className="block text-xs text-gray-500 max-w-[10rem] truncate">{timer.label}</span>
+                <span className="font-mono text-lg">{timer.done ? t("cooking.done") : formatClock(remainingOf(timer))}</span>
+              </button>
+              {!timer.done &&
+                (timer.endsAt ? (
+                  <button className="px-2 py-1 rounded-lg border" onClick={() => pauseTimer(timer.id)}>{t("cooking.pause")}</button>
+                ) : (
+                  <button className="px-2 py-1 rounded-lg border" onClick={() => resumeTimer(timer.id)}>{t("cooking.start")}</button>
+                ))}
+              <button className="px-2 py-1 rounded-lg border" onClick={() => resetTimer(timer.id)}>{t("cooking.reset")}</button>
+              <button className="px-2 py-1 rounded-lg border" onClick={() => removeTimer(timer.id)} aria-label={t("cooking.removeTimer")}>✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <footer className="flex items-center justify-between gap-4 px-4 py-4 border-t border-gray-200 dark:border-gray-800">
+        <button className={bigButton} disabled={index === 0} onClick={() => go(-1)}>{t("cooking.previous")}</button>
+        <div className="hidden sm:flex flex-wrap justify-center gap-1">
+          {steps.map((_, i) => (
+            <button
+              key={i}
+              aria-label={t("cooking.goTo", { step: i + 1 })}
+              onClick={() => setIndex(i)}
+              className={classNames("w-3 h-3 rounded-full", i === index ? "bg-emerald-500" : "bg-gray-300 dark:bg-gray-700")}
+            />
+          ))}
+        </div>
+        {index < steps.length - 1 ? (
+          <button className={classNames(bigButton, "bg-emerald-500 text-white border-emerald-500")} onClick={() => go(1)}>{t("cooking.next")}</button>
+        ) : (
+          <button className={classNames(bigButton, "bg-emerald-500 text-white border-emerald-500")} onClick={onClose}>{t("cooking.finish")}</button>
+        )}
+      </footer>
+    </div>
+  );
+}
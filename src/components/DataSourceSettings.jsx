@@ -0,0 +1,63 @@
+import React, { useRef, useState } from "react";
+import { t } from "../lib/i18n";
+import {
+  clearCustomDataset,
+  getProviderId,
+  hasCustomDataset,
+  loadCustomDataset,
+  PROVIDER_OPTIONS,
+  switchProvider,
+} from "../lib/providers";
+
+// Profile-menu section for choosing where recipes come from
+export default function DataSourceSettings() {
+  const current = getProviderId();
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      loadCustomDataset(await file.text());
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="px-3 py-2 space-y-2 text-sm">
+      <label className="flex items-center justify-between gap-2">
+        <span>{t("source.title")}</span>
+        <select
+          className="rounded-lg border bg-white dark:bg-gray-950 px-2 py-1 text-xs"
+          value={current}
+          onChange={(e) => {
+            setError("");
+            switchProvider(e.target.value);
+          }}
+        >
+          {PROVIDER_OPTIONS.map((p) => (
+            <option key={p.id} value={p.id}>{t(p.labelKey)}</option>
+          ))}
+        </select>
+      </label>
+      {current === "local" && (
+        <div className="flex flex-wrap gap-1">
+          <button className="px-2 py-1 rounded-lg border text-xs hover:bg-gray-100 dark:hover:bg-gray-800" onClick={() => fileRef.current?.click()}>
+            {t("source.load")}
+          </button>
+          {hasCustomDataset() && (
+            <button className="px-2 py-1 rounded-lg border text-xs hover:bg-gray-100 dark:hover:bg-gray-800" onClick={clearCustomDataset}>
+              {t("source.useSample")}
+            </button>
+          )}
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+        </div>
+      )}
+      {error && <div className="text-xs text-red-600">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import { t } from "../lib/i18n";
+import { classNames } from "../lib/utils";
+
+// Searchable multi-select checkbox list for a filter section. Options come
+// from lib/cuisines; those with a `region` get a heading per region and
+// sub-cuisines (`parent`) are indented under their area.
+export default function FacetList({ name, options, selected, counts, showCounts, onChange, emptyText }) {
+  const [search, setSearch] = useState("");
+  const q = search.trim().toLowerCase();
+  const visible = q
+    ? options.filter((o) => [o.label, o.region, o.parent].some((x) => x && x.toLowerCase().includes(q)))
+    : options;
+
+  const toggle = (label, on) => onChange(on ? [...selected, label] : selected.filter((x) => x !== label));
+
+  if (options.length === 0) return <p className="text-sm text-gray-500">{emptyText}</p>;
+
+  return (
+    <div>
+      {options.length > 8 && (
+        <input
+          type="search"
+          aria-label={t("facets.search", { name })}
+          placeholder={t("facets.searchPlaceholder", { name })}
+          className="w-full mb-2 rounded-xl border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-950 px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      )}
+      <div className="max-h-56 overflow-y-auto space-y-1 pr-1">
+        {visible.length === 0 && <p className="text-sm text-gray-500">{t("facets.noMatch", { name, search })}</p>}
+        {visible.map((opt, i) => (
+          <React.Fragment key={opt.label}>
+            {opt.region && opt.region !== visible[i - 1]?.region && (
+              <div className="pt-1 text-xs font-semibold uppercase tracking-wide text-gray-400">{opt.region}</div>
+            )}
+            <label className={classNames("flex items-center gap-2", opt.parent && "pl-5 text-sm")}>
+              <input
+                type="checkbox"
+                className="accent-emerald-600"
+                checked={selected.includes(opt.label)}
+                onChange={(e) => toggle(opt.label, e.target.checked)}
+              />
+              <span className="flex-1">{opt.label}</span>
+              {showCounts && <span className="text-xs text-gray-500">{counts[opt.label]}</span>}
+            </label>
+          </React.Fragment>
+        ))}
+      </div>
+      {selected.length > 0 && (
+        <button className="mt-2 text-xs text-emerald-600 hover:underline" onClick={() => onChange([])}>
+          {t("facets.clear", { count: selected.length })}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useRef, useState } from "react";
+import { useCardGrid } from "../lib/a11y";
+import { classNames } from "../lib/utils";
+import { favouritesToMarkdown, serializeFavouritesJsonLd } from "../lib/exportRecipe";
+import { allTags, parseFavouritesFile, parseTags } from "../lib/favourites";
+import { t } from "../lib/i18n";
+import { setMealDragData } from "../lib/planner";
+import { downloadText } from "../lib/storage";
+
+// Favourites view shown in the center column instead of the search results.
+// Export is the app's own JSON backup (re-importable); Markdown and JSON-LD
+// take the shown favourites (respecting the tag filter) to other apps.
+export default function FavouritesPanel({ favourites, selectedId, onSelect, onRemove, onImport, onExport, onClose }) {
+  const [tagFilter, setTagFilter] = useState("");
+  const [importError, setImportError] = useState("");
+  const fileRef = useRef(null);
+  const tags = allTags(favourites);
+  const shown = tagFilter ? favourites.filter((f) => f.tags.includes(tagFilter)) : favourites;
+  const { gridRef, cardProps } = useCardGrid(shown.map((f) => f.idMeal), selectedId);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const list = parseFavouritesFile(await file.text());
+      setImportError("");
+      onImport(list);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="text-lg font-semibold">{t("favourites.title")} <span className="text-sm text-gray-500">({favourites.length})</span></h2>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <button className="px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800" onClick={() => fileRef.current?.click()}>{t("favourites.import")}</button>
+          <button
+            className="px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+            disabled={favourites.length === 0}
+            onClick={onExport}
+          >{t("favourites.export")}</button>
+          <button
+            className="px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+            disabled={shown.length === 0}
+            onClick={() => downloadText("favourite-recipes.md", favouritesToMarkdown(shown), "text/markdown")}
+          >{t("favourites.markdown")}</button>
+          <button
+            className="px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+            disabled={shown.length === 0}
+            title={t("export.jsonLdHint")}
+            onClick={() => downloadText("favourite-recipes.jsonld", serializeFavouritesJsonLd(shown), "application/ld+json")}
+          >JSON-LD</button>
+          <button className="px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800" onClick={onClose}>{t("common.backToSearch")}</button>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+        </div>
+      </div>
+
+      {importError && (
+        <div className="p-3 mb-3 rounded-xl bg-red-50 text-red-700 border border-red-200 text-sm">{t("favourites.importFailed", { error: importError })}</div>
+      )}
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {tags.map((tag) => (
+            <button
+              key={tag}
+              onClick={() => setTagFilter((cur) => (cur === tag ? "" : tag))}
+              className={classNames(
+                "px-3 py-1 rounded-full border text-xs",
+                tagFilter === tag ? "bg-emerald-500 text-white border-emerald-500" : "hover:bg-gray-100 dark:hover:bg-gray-800"
+              )}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {favourites.length === 0 ? (
+        <div className="text-sm text-gray-600 dark:text-gray-400">{t("favourites.empty")}</div>
+      ) : (
+        <div ref={gridRef} role="list" aria-label={t("favourites.title")} className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {shown.map((f, index) => (
+            <article
+              key={f.idMeal}
+              role="listitem"
+              {...cardProps(f.idMeal, index, () => onSelect(f))}
+              aria-labelledby={`favourite-title-${f.idMeal}`}
+              draggable
+              onDragStart={(e) => setMealDragData(e, f.meal)}
+              onClick={() => onSelect(f)}
+              className={classNames(
+                "cursor-pointer bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl overflow-hidden hover:shadow-md transition focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500",
+                selectedId === f.idMeal ? "ring-2 ring-emerald-500" : ""
+              )}
+            >
+              {f.strMealThumb && <img src={f.strMealThumb} alt={f.strMeal} className="w-full aspect-video object-cover" />}
+              <div className="p-3">
+                <div className="flex items-start justify-between gap-2">
+                  <h4 id={`favourite-title-${f.idMeal}`} className="font-semibold line-clamp-1" title={f.strMeal}>{f.strMeal}</h4>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRemove(f.idMeal);
+                    }}
+                    className="text-xl"
+                    title={t("favourites.remove")}
+                    aria-label={t("favourites.remove")}
+                  >
+                    ★
+                  </button>
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">{f.strCategory || "—"}</div>
+                {f.notes && <p className="text-xs text-gray-500 mt-1 line-clamp-2">{f.notes}</p>}
+                {f.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {f.tags.map((tag) => (
+                      <span key={tag} className="px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-800 text-xs">#{tag}</span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </article>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Notes + tags editor shown in the Details aside for a favourited recipe.
+// Mount with key={idMeal} so the draft resets when the selection changes.
+export function FavouriteEditor({ favourite, onChange }) {
+  const [tagsDraft, setTagsDraft] = useState(favourite.tags.join(", "));
+
+  return (
+    <div className="mb-4 space-y-2">
+      <h4 className="font-medium">{t("favourites.notes")}</h4>
+      <textarea
+        rows={3}
+        className="w-full rounded-xl border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-950 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        placeholder={t("favourites.notesPlaceholder")}
+        value={favourite.notes}
+        onChange={(e) => onChange({ notes: e.target.value })}
+      />
+      <input
+        className="w-full rounded-xl border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-950 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        placeholder={t("favourites.tagsPlaceholder")}
+        value={tagsDraft}
+        onChange={(e) => setTagsDraft(e.target.value)}
+        onBlur={() => onChange({ tags: parseTags(tagsDraft) })}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") onChange({ tags: parseTags(tagsDraft) });
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useId, useState } from "react";
+import { highlightParts } from "../lib/fuzzy";
+import { t } from "../lib/i18n";
+import { classNames } from "../lib/utils";
+
+// Ingredient search box following the ARIA combobox pattern (list autocomplete):
+// ↑/↓ move through the suggestions, Enter picks the highlighted one (or submits
+// what was typed), Escape closes the list and then clears the box.
+// `suggestions` are ranked results from lib/fuzzy: [{ name, ranges }], plus an
+// optional `label` shown instead of the name (the ranges are then in the label).
+export default function IngredientCombobox({ inputRef, value, onChange, suggestions, onSelect, onSubmit, actionLabel, placeholder, className }) {
+  const id = useId();
+  const listId = `${id}-list`;
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(null); // name of the highlighted option
+  const activeIndex = suggestions.findIndex((s) => s.name === active);
+  const expanded = open && suggestions.length > 0;
+
+  const pick = (name) => {
+    setOpen(false);
+    setActive(null);
+    onSelect(name);
+  };
+
+  const move = (delta) => {
+    setOpen(true);
+    if (suggestions.length === 0) return;
+    const next = activeIndex === -1 ? (delta > 0 ? 0 : suggestions.length - 1) : (activeIndex + delta + suggestions.length) % suggestions.length;
+    setActive(suggestions[next].name);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      move(1);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      move(-1);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (expanded && activeIndex !== -1) pick(suggestions[activeIndex].name);
+      else if (value.trim()) {
+        setOpen(false);
+        onSubmit(value.trim());
+      }
+    } else if (e.key === "Escape") {
+      if (expanded) setOpen(false);
+      else onChange("");
+      setActive(null);
+    }
+  };
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        role="combobox"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={expanded && activeIndex !== -1 ? `${id}-opt-${activeIndex}` : undefined}
+        aria-label={t("search.ingredient")}
+        autoComplete="off"
+        placeholder={placeholder}
+        className={className}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActive(null);
+        }}
+        onKeyDown={onKeyDown}
+        onBlur={() => setOpen(false)}
+        onFocus={() => setOpen(true)}
+      />
+      <ul
+        id={listId}
+        role="listbox"
+        aria-label={t("search.suggestions")}
+        hidden={!expanded}
+        className="absolute z-10 top-full mt-1 w-full bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-xl shadow-lg max-h-64 overflow-auto"
+      >
+        {suggestions.map((s, i) => (
+          <li
+            key={s.name}
+            id={`${id}-opt-${i}`}
+            role="option"
+            aria-selected={i === activeIndex}
+            // mousedown, not click: the input would blur and close the list first
+            onMouseDown={(e) => {
+              e.preventDefault();
+              pick(s.name);
+            }}
+            onMouseMove={() => setActive(s.name)}
+            className={classNames(
+              "px-4 py-2 cursor-pointer",
+              i === activeIndex ? "bg-gray-100 dark:bg-gray-800" : ""
+            )}
+          >
+            {actionLabel && <span className="text-red-600">{actionLabel} </span>}
+            {highlightParts(s.label ?? s.name, s.ranges).map((p, j) =>
+              p.match ? (
+                <mark key={j} className="bg-transparent text-emerald-700 dark:text-emerald-400 font-semibold">{p.text}</mark>
+              ) : (
+                <span key={j}>{p.text}</span>
+              )
+            )}
+          </li>
+        ))}
+      </ul>
+      <div role="status" className="sr-only">
+        {expanded ? t("search.suggestionCount", { count: suggestions.length }) : ""}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { t } from "../lib/i18n";
+import { displayMeasure, UNIT_SYSTEMS } from "../lib/measures";
+import { DEFAULT_SERVINGS, extractIngredients } from "../lib/recipe";
+import { classNames } from "../lib/utils";
+
+// "Required Ingredients" block of the Details aside, with a servings scaler and
+// a unit system switch. Mount with key={idMeal} so servings reset per recipe.
+export default function IngredientList({ meal, units, onUnitsChange, onShoppingList, onAddToShoppingList }) {
+  const [servings, setServings] = useState(DEFAULT_SERVINGS);
+  const factor = servings / DEFAULT_SERVINGS;
+
+  return (
+    <div className="mb-4">
+      <h4 className="font-medium mb-1">{t("ingredients.title")}</h4>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-sm">
+        <div className="flex items-center gap-1">
+          <span className="text-gray-600 dark:text-gray-400 mr-1">{t("ingredients.servings")}</span>
+          <button
+            className="w-7 h-7 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-40"
+            disabled={servings <= 1}
+            onClick={() => setServings((s) => Math.max(1, s - 1))}
+            aria-label={t("ingredients.fewer")}
+          >−</button>
+          <span className="w-6 text-center font-semibold">{servings}</span>
+          <button
+            className="w-7 h-7 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800"
+            onClick={() => setServings((s) => Math.min(48, s + 1))}
+            aria-label={t("ingredients.more")}
+          >+</button>
+        </div>
+        <div className="flex gap-1">
+          {UNIT_SYSTEMS.map((u) => (
+            <button
+              key={u.id}
+              className={classNames("px-2 py-1 rounded-lg border text-xs", units === u.id ? "bg-gray-100 dark:bg-gray-800" : "")}
+              onClick={() => onUnitsChange(u.id)}
+            >
+              {t(u.labelKey)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <ul className="list-disc pl-5 space-y-1">
+        {extractIngredients(meal).map((x, i) => {
+          const measure = displayMeasure(x.measure, { factor, system: units });
+          return (
+            <li key={i}><span className="font-medium">{x.ingredient}</span>{measure ? ` — ${measure}` : ""}</li>
+          );
+        })}
+      </ul>
+      <button
+        className="mt-2 px-3 py-1 rounded-lg border text-sm hover:bg-gray-100 dark:hover:bg-gray-800"
+        onClick={() => onAddToShoppingList(servings)}
+      >
+        {t(onShoppingList ? "ingredients.updateList" : "ingredients.addToList", { count: servings })}
+      </button>
+    </div>
+  );
+}
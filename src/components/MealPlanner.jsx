@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import {
+  addDays,
+  clearWeek,
+  copyWeekForward,
+  dayMinutes,
+  fromISODate,
+  getMealDragData,
+  hasMealDragData,
+  PLANNER_SLOTS,
+  planToICS,
+  setSlot,
+  startOfWeek,
+  weekDates,
+} from "../lib/planner";
+import { currentLocale, t } from "../lib/i18n";
+import { formatDuration } from "../lib/recipe";
+import { downloadText } from "../lib/storage";
+import { classNames } from "../lib/utils";
+
+// Weekly planner grid: days × meal slots. Recipes are dropped in from the
+// results grid or the Favourites view, or chosen with the picker in each slot.
+// `candidates` is the list the picker offers: [{ group, meals }].
+export default function MealPlanner({ plan, onChange, candidates, onOpenMeal, onClose }) {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek());
+  const [dropTarget, setDropTarget] = useState(null); // "date|slot" while dragging over a cell
+  const dates = weekDates(weekStart);
+  const weekMinutes = dates.reduce((sum, d) => sum + dayMinutes(plan, d), 0);
+  const today = startOfWeek() === weekStart ? new Date().toDateString() : null;
+  const byId = new Map(candidates.flatMap((c) => c.meals).map((m) => [String(m.idMeal), m]));
+
+  const locale = currentLocale();
+  const weekLabel = `${fromISODate(dates[0]).toLocaleDateString(locale, { day: "numeric", month: "short" })} – ${fromISODate(
+    dates[6]
+  ).toLocaleDateString(locale, { day: "numeric", month: "short", year: "numeric" })}`;
+
+  const buttonClass = "px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50";
+
+  return (
+    <section className="bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div>
+          <h2 className="text-lg font-semibold">{t("planner.title")}</h2>
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            {weekLabel} · {t("planner.cooking", { time: formatDuration(weekMinutes) })}
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <button className={buttonClass} onClick={() => setWeekStart((w) => addDays(w, -7))}>{t("planner.previous")}</button>
+          <button className={buttonClass} onClick={() => setWeekStart(startOfWeek())}>{t("planner.thisWeek")}</button>
+          <button className={buttonClass} onClick={() => setWeekStart((w) => addDays(w, 7))}>{t("planner.next")}</button>
+          <button className={buttonClass} onClick={() => onChange((p) => copyWeekForward(p, weekStart))}>{t("planner.copyForward")}</button>
+          <button
+            className={buttonClass}
+            disabled={weekMinutes === 0}
+            onClick={() => downloadText(`meal-plan-${weekStart}.ics`, planToICS(plan, dates), "text/calendar")}
+          >{t("planner.exportIcs")}</button>
+          <button className={classNames(buttonClass, "text-red-600")} onClick={() => onChange((p) => clearWeek(p, weekStart))}>
+            {t("planner.clearWeek")}
+          </button>
+          <button className={buttonClass} onClick={onClose}>{t("common.close")}</button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full min-w-[48rem] table-fixed border-separate border-spacing-1 text-sm">
+          <thead>
+            <tr>
+              <th className="w-24" />
+              {dates.map((date) => (
+                <th
+                  key={date}
+                  className={classNames(
+                    "font-medium text-left px-1",
+                    today === fromISODate(date).toDateString() && "text-emerald-600"
+                  )}
+                >
+                  {fromISODate(date).toLocaleDateString(locale, { weekday: "short" })} {fromISODate(date).getDate()}
+                  <div className="text-xs font-normal text-gray-500">{dayMinutes(plan, date) ? formatDuration(dayMinutes(plan, date)) : "—"}</div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {PLANNER_SLOTS.map((slot) => (
+              <tr key={slot}>
+                <th className="text-left font-medium text-gray-600 dark:text-gray-400 align-top pt-2">{t(`mealTime.${slot}`)}</th>
+                {dates.map((date) => {
+                  const entry = plan[date]?.[slot];
+                  const cellKey = `${date}|${slot}`;
+                  return (
+                    <td
+                      key={cellKey}
+                      onDragOver={(e) => {
+                        if (!hasMealDragData(e)) return;
+                        e.preventDefault();
+                        e.dataTransfer.dropEffect = "copy";
+                        setDropTarget(cellKey);
+                      }}
+                      onDragLeave={() => setDropTarget((t) => (t === cellKey ? null : t))}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        setDropTarget(null);
+                        const meal = getMealDragData(e);
+                        if (meal) onChange((p) => setSlot(p, date, slot, meal));
+                      }}
+                      className={classNames(
+                        "align-top h-20 rounded-xl border border-dashed p-1",
+                        dropTarget === cellKey
+                          ? "border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20"
+                          : "border-gray-200 dark:border-gray-800"
+                      )}
+                    >
+                      {entry ? (
+                        <div className="group relative h-full">
+                          <button className="w-full text-left" onClick={() => onOpenMeal(entry.meal)} title={entry.strMeal}>
+                            {entry.strMealThumb && <img src={entry.strMealThumb} alt="" className="w-full h-10 object-cover rounded-lg" />}
+                            <span className="block text-xs font-medium line-clamp-2 mt-1">{entry.strMeal}</span>
+                          </button>
+                          <button
+                            className="absolute top-0.5 right-0.5 w-5 h-5 rounded-full bg-white/90 dark:bg-gray-900/90 text-xs opacity-0 group-hover:opacity-100 focus:opacity-100"
+                            onClick={() => onChange((p) => setSlot(p, date, slot, null))}
+                            title={t("planner.remove")}
+                            aria-label={t("planner.removeNamed", { name: entry.strMeal })}
+                          >✕</button>
+                        </div>
+                      ) : (
+                        <select
+                          aria-label={t("planner.pick", { slot: t(`mealTime.${slot}`), date })}
+                          className="w-full h-full bg-transparent text-xs text-gray-400 cursor-pointer"
+                          value=""
+                          onChange={(e) => {
+                            const meal = byId.get(e.target.value);
+                            if (meal) onChange((p) => setSlot(p, date, slot, meal));
+                          }}
+                        >
+                          <option value="">{t("planner.add")}</option>
+                          {candidates.map((c) =>
+                            c.meals.length ? (
+                              <optgroup key={c.group} label={c.group}>
+                                {c.meals.map((m) => (
+                                  <option key={m.idMeal} value={m.idMeal}>{m.strMeal}</option>
+                                ))}
+                              </optgroup>
+                            ) : null
+                          )}
+                        </select>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-500 mt-2">{t("planner.tip")}</div>
+    </section>
+  );
+}
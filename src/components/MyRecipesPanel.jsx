@@ -0,0 +1,71 @@
+import React from "react";
+import { useCardGrid } from "../lib/a11y";
+import { cookTimeOf } from "../lib/cookTime";
+import { t } from "../lib/i18n";
+import { setMealDragData } from "../lib/planner";
+import { formatMinutes } from "../lib/recipe";
+import { classNames } from "../lib/utils";
+
+// "My recipes" view shown in the center column: the user's own recipes
+export default function MyRecipesPanel({ recipes, selectedId, onSelect, onEdit, onNew, onClose }) {
+  const { gridRef, cardProps } = useCardGrid(recipes.map((m) => m.idMeal), selectedId);
+  return (
+    <div className="bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="text-lg font-semibold">{t("mine.title")} <span className="text-sm text-gray-500">({recipes.length})</span></h2>
+        <div className="flex gap-2 text-sm">
+          <button className="px-3 py-1 rounded-lg bg-emerald-500 text-white hover:bg-emerald-600" onClick={onNew}>{t("mine.new")}</button>
+          <button className="px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800" onClick={onClose}>{t("common.backToSearch")}</button>
+        </div>
+      </div>
+
+      {recipes.length === 0 ? (
+        <div className="text-sm text-gray-600 dark:text-gray-400">
+          {t("mine.empty")}
+        </div>
+      ) : (
+        <div ref={gridRef} role="list" aria-label={t("mine.title")} className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {recipes.map((meal, index) => {
+            const time = cookTimeOf(meal);
+            return (
+              <article
+                key={meal.idMeal}
+                role="listitem"
+                {...cardProps(meal.idMeal, index, () => onSelect(meal))}
+                aria-labelledby={`mine-title-${meal.idMeal}`}
+                draggable
+                onDragStart={(e) => setMealDragData(e, meal)}
+                onClick={() => onSelect(meal)}
+                className={classNames(
+                  "cursor-pointer bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl overflow-hidden hover:shadow-md transition focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500",
+                  selectedId === meal.idMeal ? "ring-2 ring-emerald-500" : ""
+                )}
+              >
+                <img src={meal.strMealThumb} alt={meal.strMeal} className="w-full aspect-video object-cover" />
+                <div className="p-3">
+                  <div className="flex items-start justify-between gap-2">
+                    <h4 id={`mine-title-${meal.idMeal}`} className="font-semibold line-clamp-1" title={meal.strMeal}>{meal.strMeal}</h4>
+                    <button
+                      className="text-xs px-2 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800 shrink-0"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onEdit(meal);
+                      }}
+                    >
+                      {t("common.edit")}
+                    </button>
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400 flex items-center justify-between mt-1">
+                    <span>{meal.strCategory || "—"}</span>
+                    <span>{formatMinutes(time.total[0], time.total[1])}</span>
+                  </div>
+                  {meal.forkedFrom && <div className="text-xs text-gray-500 mt-1">{t("mine.basedOn", { name: meal.forkedFrom.strMeal })}</div>}
+                </div>
+              </article>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { t } from "../lib/i18n";
+import { nutritionOf } from "../lib/nutrition";
+import { classNames } from "../lib/utils";
+
+const LEVELS = {
+  high: { labelKey: "nutrition.confidence.high", className: "bg-emerald-50 text-emerald-800 border-emerald-200 dark:bg-emerald-900/20 dark:text-emerald-200 dark:border-emerald-800" },
+  medium: { labelKey: "nutrition.confidence.medium", className: "bg-amber-50 text-amber-800 border-amber-200 dark:bg-amber-900/20 dark:text-amber-200 dark:border-amber-800" },
+  low: { labelKey: "nutrition.confidence.low", className: "bg-red-50 text-red-700 border-red-200 dark:bg-red-900/20 dark:text-red-200 dark:border-red-800" },
+};
+
+// Nutrition block for the Details panel: per serving, per recipe, and how
+// much of the ingredient list the estimate covers
+export default function NutritionFacts({ meal }) {
+  const n = nutritionOf(meal);
+  if (!n) {
+    return (
+      <div className="mb-4 text-sm">
+        <h4 className="font-medium mb-1">{t("nutrition.title")}</h4>
+        <p className="text-xs text-gray-500">{t("nutrition.none")}</p>
+      </div>
+    );
+  }
+  const level = LEVELS[n.confidence.level];
+  const rows = [
+    { label: t("nutrition.kcal"), value: `${n.perServing.kcal} kcal` },
+    { label: t("nutrition.protein"), value: `${n.perServing.protein} g` },
+    { label: t("nutrition.carbs"), value: `${n.perServing.carbs} g` },
+    { label: t("nutrition.fat"), value: `${n.perServing.fat} g` },
+  ];
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <h4 className="font-medium">{t("nutrition.title")} <span className="font-normal text-gray-500">{t("nutrition.perServing")}</span></h4>
+        <span
+          className={classNames("px-2 py-0.5 rounded-full text-xs border", level.className)}
+          title={t("nutrition.counted", { counted: n.confidence.counted, count: n.confidence.of })}
+        >
+          {t(level.labelKey)}
+        </span>
+      </div>
+      <dl className="grid grid-cols-4 gap-2">
+        {rows.map((r) => (
+          <div key={r.label} className="rounded-xl border border-gray-200 dark:border-gray-800 px-2 py-1.5">
+            <dt className="text-xs text-gray-500">{r.label}</dt>
+            <dd className="font-medium">{r.value}</dd>
+          </div>
+        ))}
+      </dl>
+      <p className="text-xs text-gray-500 mt-1">
+        {t("nutrition.total", { count: n.servings, ...n.total })}
+      </p>
+      {n.confidence.missing.length > 0 && (
+        <p className="text-xs text-gray-500 mt-1">{t("nutrition.missing", { names: n.confidence.missing.join(", ") })}</p>
+      )}
+    </div>
+  );
+}
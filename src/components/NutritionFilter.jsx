@@ -0,0 +1,65 @@
+import React from "react";
+import { NO_NUTRITION_LIMITS } from "../lib/filters";
+import { t } from "../lib/i18n";
+
+const FIELDS = [
+  { key: "kcal", labelKey: "nutrition.kcal", unit: "kcal", step: 50 },
+  { key: "protein", labelKey: "nutrition.protein", unit: "g", step: 5 },
+];
+
+const inputClass =
+  "w-20 px-2 py-1 rounded-lg border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500";
+
+// Min/max boxes for the per-serving calorie and protein range. An empty box
+// leaves that end open. value: { kcal: [min, max], protein: [min, max] }
+export default function NutritionFilter({ value, onChange }) {
+  const set = (key, index) => (e) => {
+    const n = e.target.value === "" ? null : Math.max(0, Number(e.target.value));
+    const range = [...value[key]];
+    range[index] = Number.isFinite(n) ? n : null;
+    onChange({ ...value, [key]: range });
+  };
+  const active = FIELDS.some(({ key }) => value[key][0] != null || value[key][1] != null);
+
+  return (
+    <div className="space-y-2 text-sm">
+      {FIELDS.map(({ key, labelKey, unit, step }) => (
+        <div key={key} className="flex items-center gap-2">
+          <span className="w-16 text-gray-600 dark:text-gray-400">{t(labelKey)}</span>
+          <input
+            type="number"
+            min={0}
+            step={step}
+            inputMode="numeric"
+            placeholder={t("nutrition.min")}
+            aria-label={t("nutrition.minLabel", { what: t(labelKey).toLowerCase() })}
+            className={inputClass}
+            value={value[key][0] ?? ""}
+            onChange={set(key, 0)}
+          />
+          <span aria-hidden="true">–</span>
+          <input
+            type="number"
+            min={0}
+            step={step}
+            inputMode="numeric"
+            placeholder={t("nutrition.max")}
+            aria-label={t("nutrition.maxLabel", { what: t(labelKey).toLowerCase() })}
+            className={inputClass}
+            value={value[key][1] ?? ""}
+            onChange={set(key, 1)}
+          />
+          <span className="text-xs text-gray-500">{unit}</span>
+        </div>
+      ))}
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>{t("nutrition.filterNote")}</span>
+        {active && (
+          <button className="underline hover:no-underline" onClick={() => onChange(NO_NUTRITION_LIMITS)}>
+            {t("common.clear")}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
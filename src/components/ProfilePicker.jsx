@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { t } from "../lib/i18n";
+import { hasLegacyData, initialOf } from "../lib/profiles";
+import { classNames } from "../lib/utils";
+
+// Sign-in screen shown while nobody is logged in: pick, add or delete a
+// profile. `profiles` is the object from useProfiles().
+export default function ProfilePicker({ profiles }) {
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  const [legacy] = useState(hasLegacyData);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const problem = profiles.create(name);
+    setError(problem || "");
+    if (!problem) setName("");
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900 dark:bg-gray-950 dark:text-gray-100 grid place-items-center p-4">
+      <main className="w-full max-w-md bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-6 shadow-sm">
+        <div className="flex items-center gap-2 mb-4">
+          <div className="w-9 h-9 rounded-xl bg-emerald-500 flex items-center justify-center font-black text-white select-none shadow">RI</div>
+          <h1 className="text-xl font-semibold">{t("app.title")}</h1>
+        </div>
+
+        {profiles.profiles.length > 0 && (
+          <>
+            <h2 className="font-medium mb-2">{t("profiles.who")}</h2>
+            <ul className="space-y-2 mb-6">
+              {profiles.profiles.map((p) => (
+                <li key={p.id} className="flex items-center gap-2">
+                  <button
+                    className="flex-1 flex items-center gap-3 px-3 py-2 rounded-xl border border-gray-200 dark:border-gray-800 hover:bg-gray-100 dark:hover:bg-gray-800 text-left focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-500"
+                    onClick={() => profiles.signIn(p.id)}
+                  >
+                    <span className={classNames("w-9 h-9 rounded-full bg-gradient-to-br grid place-items-center font-bold text-white", p.color)} aria-hidden="true">
+                      {initialOf(p.name)}
+                    </span>
+                    <span className="font-medium">{p.name}</span>
+                  </button>
+                  <button
+                    className="px-2 py-1 rounded-lg text-sm text-gray-500 hover:text-red-600"
+                    aria-label={t("profiles.deleteNamed", { name: p.name })}
+                    title={t("profiles.delete")}
+                    onClick={() => window.confirm(t("profiles.confirmDelete", { name: p.name })) && profiles.remove(p.id)}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <form onSubmit={submit} noValidate>
+          <label className="block text-sm font-medium mb-1" htmlFor="new-profile">
+            {profiles.profiles.length ? t("profiles.add") : t("profiles.first")}
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="new-profile"
+              className="flex-1 px-3 py-2 rounded-xl border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              placeholder={t("profiles.yourName")}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              aria-invalid={!!error}
+              aria-describedby={error ? "new-profile-error" : undefined}
+            />
+            <button type="submit" className="px-4 py-2 rounded-xl bg-emerald-500 text-white hover:bg-emerald-600">{t("profiles.create")}</button>
+          </div>
+          {error && <p id="new-profile-error" role="alert" className="text-sm text-red-600 mt-1">{error}</p>}
+          {legacy && (
+            <p className="text-xs text-gray-500 mt-2">{t("profiles.legacy")}</p>
+          )}
+        </form>
+        <p className="text-xs text-gray-500 mt-4">{t("profiles.localOnly")}</p>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useId, useRef, useState } from "react";
+import { t } from "../lib/i18n";
+import { formFromMeal, MAX_INGREDIENTS, mealFromForm, readImageFile, validateForm } from "../lib/myRecipes";
+import { classNames } from "../lib/utils";
+
+const inputClass =
+  "w-full px-3 py-2 rounded-xl border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-emerald-500";
+const buttonClass = "px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50";
+
+// Create/edit form for the user's own recipes, shown in the center column.
+// `base` is the recipe being edited, or a draft from newDraft() (possibly a
+// fork of another recipe). `onSave(meal)` returns an error message if the
+// recipe couldn't be stored. Mount with key={base.idMeal}.
+export default function RecipeEditor({ base, isNew, ingredientNames, areas, categories, onSave, onDelete, onCancel }) {
+  const id = useId();
+  const [form, setForm] = useState(() => formFromMeal(base));
+  const [errors, setErrors] = useState([]);
+  const fileRef = useRef(null);
+
+  const set = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  const setIngredient = (index, field, value) =>
+    setForm((f) => ({ ...f, ingredients: f.ingredients.map((x, i) => (i === index ? { ...x, [field]: value } : x)) }));
+  const addIngredient = () => setForm((f) => ({ ...f, ingredients: [...f.ingredients, { ingredient: "", measure: "" }] }));
+  const removeIngredient = (index) =>
+    setForm((f) => ({
+      ...f,
+      ingredients: f.ingredients.length > 1 ? f.ingredients.filter((_, i) => i !== index) : [{ ingredient: "", measure: "" }],
+    }));
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const dataUrl = await readImageFile(file);
+      setForm((f) => ({ ...f, strMealThumb: dataUrl }));
+      setErrors([]);
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const problems = validateForm(form);
+    if (problems.length === 0) {
+      const failed = onSave(mealFromForm(form, base));
+      if (failed) problems.push(failed);
+    }
+    setErrors(problems);
+  };
+
+  const title = isNew
+    ? base.forkedFrom
+      ? t("editor.forkTitle", { name: base.forkedFrom.strMeal })
+      : t("mine.new")
+    : t("editor.editTitle", { name: base.strMeal });
+  const uploaded = form.strMealThumb.startsWith("data:");
+
+  return (
+    <form onSubmit={submit} noValidate className="bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">{title}</h2>
+        <button type="button" className={classNames(buttonClass, "text-sm")} onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul role="alert" className="p-3 rounded-xl bg-red-50 text-red-700 border border-red-200 text-sm list-disc pl-8">
+          {errors.map((msg) => <li key={msg}>{msg}</li>)}
+        </ul>
+      )}
+
+      <label className="block text-sm">
+        <span className="font-medium">{t("editor.name")}</span>
+        <input className={classNames(inputClass, "mt-1")} value={form.strMeal} onChange={set("strMeal")} required />
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+        <label className="block">
+          <span className="font-medium">{t("filters.category")}</span>
+          <input className={classNames(inputClass, "mt-1")} list={`${id}-categories`} value={form.strCategory} onChange={set("strCategory")} />
+        </label>
+        <label className="block">
+          <span className="font-medium">{t("editor.cuisine")}</span>
+          <input className={classNames(inputClass, "mt-1")} list={`${id}-areas`} value={form.strArea} onChange={set("strArea")} />
+        </label>
+        <label className="block">
+          <span className="font-medium">{t("editor.tags")}</span>
+          <input className={classNames(inputClass, "mt-1")} placeholder={t("editor.tagsPlaceholder")} value={form.strTags} onChange={set("strTags")} />
+        </label>
+      </div>
+
+      <div className="text-sm">
+        <span className="font-medium">{t("editor.picture")}</span>
+        <div className="flex items-center gap-3 mt-1">
+          {form.strMealThumb && <img src={form.strMealThumb} alt="" className="w-16 h-16 rounded-xl object-cover shrink-0" />}
+          <input
+            className={inputClass}
+            aria-label={t("editor.imageUrl")}
+            placeholder={t("editor.imagePlaceholder")}
+            value={uploaded ? "" : form.strMealThumb}
+            disabled={uploaded}
+            onChange={set("strMealThumb")}
+          />
+          <button type="button" className={classNames(buttonClass, "shrink-0")} onClick={() => fileRef.current?.click()}>{t("editor.upload")}</button>
+          {form.strMealThumb && (
+            <button type="button" className={classNames(buttonClass, "shrink-0")} onClick={() => setForm((f) => ({ ...f, strMealThumb: "" }))}>
+              {t("common.remove")}
+            </button>
+          )}
+          <input ref={fileRef} type="file" accept="image/*" className="hidden" onChange={handleFile} />
+        </div>
+      </div>
+
+      <fieldset className="text-sm">
+        <legend className="font-medium mb-1">
+          {t("editor.ingredients")} <span className="text-gray-500 font-normal">({form.ingredients.length}/{MAX_INGREDIENTS})</span>
+        </legend>
+        <div className="space-y-2">
+          {form.ingredients.map((x, i) => (
+            <div key={i} className="flex gap-2">
+              <input
+                className={inputClass}
+                aria-label={t("editor.ingredientN", { n: i + 1 })}
+                placeholder={t("search.ingredient")}
+                list={`${id}-ingredients`}
+                value={x.ingredient}
+                onChange={(e) => setIngredient(i, "ingredient", e.target.value)}
+              />
+              <input
+                className={classNames(inputClass, "sm:w-40")}
+                aria-label={t("editor.measureN", { n: i + 1 })}
+                placeholder={t("editor.measure")}
+                value={x.measure}
+                onChange={(e) => setIngredient(i, "measure", e.target.value)}
+              />
+              <button type="button" className={classNames(buttonClass, "shrink-0")} onClick={() => removeIngredient(i)} aria-label={t("editor.removeIngredient", { n: i + 1 })}>
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+        <button type="button" className={classNames(buttonClass, "mt-2")} disabled={form.ingredients.length >= MAX_INGREDIENTS} onClick={addIngredient}>
+          {t("editor.addIngredient")}
+        </button>
+      </fieldset>
+
+      <label className="block text-sm">
+        <span className="font-medium">{t("editor.method")}</span>
+        <span className="block text-xs text-gray-500">{t("editor.methodHint")}</span>
+        <textarea className={classNames(inputClass, "mt-1 min-h-[10rem]")} value={form.strInstructions} onChange={set("strInstructions")} required />
+      </label>
+
+      <div className="flex flex-wrap gap-2 text-sm">
+        <button type="submit" className="px-4 py-2 rounded-xl bg-emerald-500 text-white hover:bg-emerald-600">{t("editor.save")}</button>
+        <button type="button" className={buttonClass} onClick={onCancel}>{t("common.cancel")}</button>
+        {!isNew && (
+          <button
+            type="button"
+            className={classNames(buttonClass, "text-red-600 ml-auto")}
+            onClick={() => window.confirm(t("editor.confirmDelete", { name: base.strMeal })) && onDelete(base.idMeal)}
+          >
+            {t("editor.delete")}
+          </button>
+        )}
+      </div>
+
+      <datalist id={`${id}-ingredients`}>
+        {ingredientNames.map((n) => <option key={n} value={n} />)}
+      </datalist>
+      <datalist id={`${id}-areas`}>
+        {areas.map((n) => <option key={n} value={n} />)}
+      </datalist>
+      <datalist id={`${id}-categories`}>
+        {categories.map((n) => <option key={n} value={n} />)}
+      </datalist>
+    </form>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { recipeToMarkdown, recipeToPrintHtml, serializeRecipeJsonLd, slugify } from "../lib/exportRecipe";
+import { t } from "../lib/i18n";
+import { openPrintWindow } from "../lib/print";
+import { downloadText } from "../lib/storage";
+
+// Print / Markdown / JSON-LD buttons for the Details aside. `favourite`, when
+// the recipe is one, brings its notes and tags along.
+// Mount with key={idMeal} so the status message resets per recipe.
+export default function RecipeExport({ meal, favourite }) {
+  const [status, setStatus] = useState("");
+  const extra = { notes: favourite?.notes || "", tags: favourite?.tags || [] };
+  const fileName = slugify(meal.strMeal);
+
+  const copyMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(recipeToMarkdown(meal, extra));
+      setStatus(t("export.copied"));
+    } catch {
+      setStatus(t("export.copyFailed"));
+    }
+  };
+
+  const print = () => {
+    if (!openPrintWindow(meal.strMeal, recipeToPrintHtml(meal, extra))) setStatus(t("export.allowPopups"));
+  };
+
+  const buttonClass = "px-2 py-1 rounded-lg border text-xs hover:bg-gray-100 dark:hover:bg-gray-800";
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap gap-1" role="group" aria-label={t("export.label")}>
+        <button className={buttonClass} onClick={print}>{t("export.print")}</button>
+        <button className={buttonClass} onClick={copyMarkdown}>{t("export.copyMarkdown")}</button>
+        <button className={buttonClass} onClick={() => downloadText(`${fileName}.md`, recipeToMarkdown(meal, extra), "text/markdown")}>
+          {t("export.downloadMarkdown")}
+        </button>
+        <button
+          className={buttonClass}
+          title={t("export.jsonLdHint")}
+          onClick={() => downloadText(`${fileName}.jsonld`, serializeRecipeJsonLd(meal, extra), "application/ld+json")}
+        >
+          {t("export.downloadJsonLd")}
+        </button>
+      </div>
+      {status && <div role="status" className="text-xs text-gray-500 mt-1">{status}</div>}
+    </div>
+  );
+}
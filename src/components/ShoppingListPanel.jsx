@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from "react";
+import { t } from "../lib/i18n";
+import { escapeHtml, openPrintWindow } from "../lib/print";
+import {
+  aggregateShoppingList,
+  clearChecked,
+  EMPTY_SHOPPING_LIST,
+  removeFromShoppingList,
+  shoppingListToMarkdown,
+  shoppingListToText,
+  toggleChecked,
+} from "../lib/shopping";
+import { downloadText } from "../lib/storage";
+import { classNames } from "../lib/utils";
+
+// Shopping list view shown in the center column. `units` picks the system used
+// when quantities in different units have to be added together.
+export default function ShoppingListPanel({ list, units, onChange, onClose }) {
+  const [status, setStatus] = useState("");
+  const groups = useMemo(() => aggregateShoppingList(list, units), [list, units]);
+  const itemCount = groups.reduce((n, g) => n + g.items.length, 0);
+  const doneCount = groups.reduce((n, g) => n + g.items.filter((i) => i.checked).length, 0);
+
+  const copyMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(shoppingListToMarkdown(list, groups));
+      setStatus(t("export.copied"));
+    } catch {
+      setStatus(t("export.copyFailed"));
+    }
+  };
+
+  const print = () => {
+    const body =
+      `<h1>${escapeHtml(t("shopping.title"))}</h1>` +
+      `<p class="muted">${list.recipes.map((r) => escapeHtml(r.strMeal)).join(" · ")}</p>` +
+      groups
+        .map(
+          ({ aisle, items }) =>
+            `<h2>${escapeHtml(t(`aisle.${aisle}`))}</h2><ul>` +
+            items
+              .map(
+                (i) =>
+                  `<li class="${i.checked ? "done" : ""}">☐ ${escapeHtml(i.name)}` +
+                  `${i.amounts.length ? ` — ${escapeHtml(i.amounts.join(" + "))}` : ""}</li>`
+              )
+              .join("") +
+            `</ul>`
+        )
+        .join("");
+    if (!openPrintWindow(t("shopping.title"), body)) setStatus(t("shopping.allowPopups"));
+  };
+
+  const buttonClass = "px-3 py-1 rounded-lg border hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50";
+  const empty = list.recipes.length === 0;
+
+  return (
+    <div className="bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="text-lg font-semibold">
+          {t("shopping.title")} <span className="text-sm text-gray-500">{t("shopping.bought", { done: doneCount, count: itemCount })}</span>
+        </h2>
+        <button className={classNames(buttonClass, "text-sm")} onClick={onClose}>{t("common.backToSearch")}</button>
+      </div>
+
+      {empty ? (
+        <div className="text-sm text-gray-600 dark:text-gray-400">
+          {t("shopping.empty")}
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {list.recipes.map((r) => (
+              <span key={r.idMeal} className="px-3 py-1 rounded-full bg-gray-100 dark:bg-gray-800 text-sm flex items-center gap-2">
+                {r.strMeal} <span className="text-xs text-gray-500">×{r.servings}</span>
+                <button
+                  onClick={() => onChange((l) => removeFromShoppingList(l, r.idMeal))}
+                  className="text-xs hover:opacity-75"
+                  title={t("shopping.removeRecipe")}
+                  aria-label={t("shopping.removeRecipeNamed", { name: r.strMeal })}
+                >✕</button>
+              </span>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-2 mb-4 text-sm">
+            <button className={buttonClass} onClick={copyMarkdown}>{t("export.copyMarkdown")}</button>
+            <button
+              className={buttonClass}
+              onClick={() => downloadText("shopping-list.md", shoppingListToMarkdown(list, groups), "text/markdown")}
+            >{t("export.downloadMarkdown")}</button>
+            <button className={buttonClass} onClick={() => downloadText("shopping-list.txt", shoppingListToText(list, groups))}>
+              {t("shopping.downloadText")}
+            </button>
+            <button className={buttonClass} onClick={print}>{t("export.print")}</button>
+            <button className={buttonClass} disabled={doneCount === 0} onClick={() => onChange(clearChecked)}>{t("shopping.uncheckAll")}</button>
+            <button className={classNames(buttonClass, "text-red-600")} onClick={() => onChange(EMPTY_SHOPPING_LIST)}>{t("shopping.clear")}</button>
+          </div>
+          {status && <div className="text-xs text-gray-500 mb-3">{status}</div>}
+
+          <div className="space-y-4">
+            {groups.map(({ aisle, items }) => (
+              <section key={aisle}>
+                <h3 className="font-medium mb-1">{t(`aisle.${aisle}`)}</h3>
+                <ul className="space-y-1">
+                  {items.map((item) => (
+                    <li key={item.key}>
+                      <label className="flex items-start gap-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          className="accent-emerald-600 mt-1"
+                          checked={item.checked}
+                          onChange={() => onChange((l) => toggleChecked(l, item.key))}
+                        />
+                        <span className={classNames(item.checked && "line-through text-gray-400")}>
+                          <span className="font-medium">{item.name}</span>
+                          {item.amounts.length > 0 && ` — ${item.amounts.join(" + ")}`}
+                          <span className="block text-xs text-gray-500">{item.recipes.join(", ")}</span>
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
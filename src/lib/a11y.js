@@ -0,0 +1,63 @@
+import { useRef, useState } from "react";
+
+// Keyboard helpers shared by the card grids, the profile menu and the
+// global shortcuts
+
+const FOCUSABLE =
+  "a[href], button:not([disabled]), input:not([disabled]):not([type='hidden']), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+
+// Is the key press meant for a form field rather than a shortcut?
+export function isEditable(el) {
+  return !!el?.closest?.("input, textarea, select, [contenteditable='true']");
+}
+
+export function focusableIn(container) {
+  if (!container) return [];
+  return [...container.querySelectorAll(FOCUSABLE)].filter((el) => el.offsetParent !== null);
+}
+
+// Moves focus to the next/previous focusable element inside `container`, wrapping around
+export function moveFocus(container, delta) {
+  const items = focusableIn(container);
+  if (items.length === 0) return;
+  const at = items.indexOf(document.activeElement);
+  const next = at === -1 ? (delta > 0 ? 0 : items.length - 1) : (at + delta + items.length) % items.length;
+  items[next].focus();
+}
+
+// How many items sit on the first row of a CSS grid, for ↑/↓ in the results
+export function columnCount(items) {
+  if (items.length === 0) return 1;
+  const top = items[0].offsetTop;
+  const n = items.findIndex((el) => el.offsetTop !== top);
+  return n === -1 ? items.length : n;
+}
+
+// Roving focus for a grid of cards: one card is in the tab order, the arrow
+// keys move between cards, Home/End jump to the ends and Enter/Space open a
+// card. `ids` are the cards in order; spread cardProps(id, index, open) on each.
+export function useCardGrid(ids, selectedId) {
+  const gridRef = useRef(null);
+  const [focusedId, setFocusedId] = useState(null);
+  const rovingId = [focusedId, selectedId, ids[0]].find((id) => id && ids.includes(id));
+  const cards = () => [...(gridRef.current?.querySelectorAll("[data-card]") || [])];
+  const cardProps = (id, index, open) => ({
+    "data-card": true,
+    tabIndex: id === rovingId ? 0 : -1,
+    onFocus: (e) => e.target === e.currentTarget && setFocusedId(id),
+    onKeyDown: (e) => {
+      if (e.target !== e.currentTarget) return; // keys meant for the buttons inside
+      const last = ids.length - 1;
+      const cols = columnCount(cards());
+      const next = { ArrowRight: index + 1, ArrowLeft: index - 1, ArrowDown: index + cols, ArrowUp: index - cols, Home: 0, End: last }[e.key];
+      if (next !== undefined) {
+        e.preventDefault();
+        cards()[Math.min(last, Math.max(0, next))]?.focus();
+      } else if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        open();
+      }
+    },
+  });
+  return { gridRef, cardProps };
+}
@@ -0,0 +1,36 @@
+// Rough supermarket aisle for an ingredient name, used to group the shopping
+// list. Rules are checked in order, so "Chicken Stock" lands in the pantry
+// before the meat rule ever sees "chicken", and produce whose name contains
+// another aisle's word ("Butternut Squash", "Water Chestnut") is picked first.
+
+export const AISLES = [
+  "Produce",
+  "Meat",
+  "Fish & Seafood",
+  "Dairy & Eggs",
+  "Bakery",
+  "Pantry",
+  "Spices & Seasonings",
+  "Frozen",
+  "Drinks",
+  "Other",
+];
+
+const RULES = [
+  ["Produce", /butternut|butter lettuce|eggplant|watercress|water chestnut|garlic clove/],
+  ["Frozen", /frozen|ice cream/],
+  ["Pantry", /stock|broth|bouillon|paste|puree|sauce|ketchup|mayonnaise|mustard|vinegar|oil\b|tinned|canned|chopped tomatoes|passata|beans|lentils|chickpeas|rice|pasta|spaghetti|noodles|macaroni|penne|lasagne|flour|sugar|honey|syrup|cocoa|chocolate|oats|breadcrumbs|baking|yeast|cornstarch|cornflour|gelatine|nuts|almonds|peanut|cashew|walnut|raisins|coconut milk|jam|cereal/],
+  ["Spices & Seasonings", /^ground |\bsalt\b|black pepper|white pepper|peppercorn|cayenne|cumin|coriander seed|paprika|turmeric|garam masala|chilli powder|cinnamon|nutmeg|^cloves?$|cardamom|oregano|thyme|rosemary|bay lea|spice|seasoning|vanilla|allspice|fennel seed|mustard seed|saffron|curry powder/],
+  ["Fish & Seafood", /fish|salmon|tuna|cod|haddock|mackerel|sardine|anchov|prawn|shrimp|crab|lobster|clam|mussel|oyster|scallop|squid|monkfish|trout/],
+  ["Meat", /chicken|beef|pork|lamb|mutton|bacon|ham\b|sausage|mince|steak|turkey|duck|veal|chorizo|prosciutto|salami|goat meat|venison/],
+  ["Dairy & Eggs", /milk|cream|\bbutter\b|cheese|cheddar|parmesan|mozzarella|feta|yogurt|yoghurt|\beggs?\b|ghee|creme fraiche|mascarpone|ricotta/],
+  ["Bakery", /bread|bun|roll|bagel|tortilla|pitta|pita|naan|baguette|croissant|pastry|wrap/],
+  ["Drinks", /wine|beer|juice|vodka|rum|brandy|whisky|cider|sake|soda|\bwater\b/],
+  ["Produce", /onion|garlic|tomato|potato|carrot|pepper|chilli|lemon|lime|orange|apple|banana|berr|lettuce|spinach|cabbage|kale|broccoli|cauliflower|courgette|zucchini|aubergine|mushroom|celery|cucumber|leek|ginger|herb|parsley|coriander|basil|mint|dill|chive|spring onion|shallot|avocado|pea\b|peas|bean sprouts|squash|pumpkin|corn|fruit|mango|pineapple|grape|pear|plum|peach|cherry|asparagus|beetroot|radish|fennel|rocket/],
+];
+
+export function aisleFor(ingredient) {
+  const name = (ingredient || "").toLowerCase();
+  const rule = RULES.find(([, re]) => re.test(name));
+  return rule ? rule[0] : "Other";
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { aisleFor } from "./aisles";
+
+describe("aisleFor", () => {
+  it("puts common ingredients in their aisle", () => {
+    expect(aisleFor("Chicken Breast")).toBe("Meat");
+    expect(aisleFor("Eggs")).toBe("Dairy & Eggs");
+    expect(aisleFor("Egg Yolks")).toBe("Dairy & Eggs");
+    expect(aisleFor("Unsalted Butter")).toBe("Dairy & Eggs");
+    expect(aisleFor("Cloves")).toBe("Spices & Seasonings");
+    expect(aisleFor("Sparkling Water")).toBe("Drinks");
+    expect(aisleFor("Saffron")).toBe("Spices & Seasonings");
+    expect(aisleFor("Quinoa")).toBe("Other");
+  });
+
+  it("checks the earlier rule first", () => {
+    expect(aisleFor("Chicken Stock")).toBe("Pantry");
+    expect(aisleFor("Peanut Butter")).toBe("Pantry");
+    expect(aisleFor("Chopped Tomatoes")).toBe("Pantry");
+  });
+
+  it("doesn't match other aisles' words inside produce names", () => {
+    expect(aisleFor("Butternut Squash")).toBe("Produce");
+    expect(aisleFor("Eggplant")).toBe("Produce");
+    expect(aisleFor("Watercress")).toBe("Produce");
+    expect(aisleFor("Water Chestnut")).toBe("Produce");
+    expect(aisleFor("Garlic Clove")).toBe("Produce");
+    expect(aisleFor("Butter Lettuce")).toBe("Produce");
+  });
+});
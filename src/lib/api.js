@@ -0,0 +1,295 @@
+import { FAVOURITES_KEY } from "./favourites";
+import { isOwnRecipe, MY_RECIPES_KEY } from "./myRecipes";
+import { scopedKey } from "./profiles";
+import { loadJSON, removeKey, saveJSON } from "./storage";
+import { provider } from "./providers";
+import { createLocalProvider } from "./providers/local";
+
+// Data layer in front of the active provider (see ./providers):
+//  - in-memory cache, backed by a persistent (localStorage) cache, both with TTLs.
+//    The persistent one is capped by size and drops its oldest entries when
+//    full, so it never crowds out favourites, profiles or own recipes
+//  - concurrent requests for the same key share one fetch
+//  - every call takes an AbortSignal; the shared fetch is only aborted once
+//    all of its callers have gone away
+//  - network errors, 5xx and 429 are retried with exponential backoff
+//  - offline, expired cache entries are used anyway, and searches fall back to
+//    the recipes saved on this device (looked up before, or favourited);
+//    such responses are marked `offline: true`
+//  - the user's own recipes (./myRecipes) are searched and looked up from
+//    storage alongside the provider, uncached so edits show up straight away
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const TTL = {
+  ingredients: 7 * DAY,
+  filter: DAY,
+  lookup: 7 * DAY,
+  lists: 7 * DAY,
+};
+
+const CACHE_PREFIX = "cache:";
+const CACHE_INDEX_KEY = "cache-index"; // [{ key, size }], oldest first
+// In characters of JSON — about a third of the usual 5M-character quota
+const MAX_PERSISTED_SIZE = 1500 * 1000;
+
+const memory = new Map(); // key -> { t, v }
+const inflight = new Map(); // key -> { promise, controller, users }
+
+export function abortError() {
+  return new DOMException("The request was aborted.", "AbortError");
+}
+
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// A network failure (not an HTTP error) while using an online provider
+function isNetworkError(e) {
+  return provider.cacheable && !isAbortError(e) && e?.status == null;
+}
+
+function isRetryable(e) {
+  if (isAbortError(e)) return false;
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return false;
+  if (e?.status == null) return true; // network failure
+  return e.status >= 500 || e.status === 429;
+}
+
+export async function withRetry(fn, { signal, retries = 3, baseDelay = 400 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(signal);
+    } catch (e) {
+      if (attempt >= retries || !isRetryable(e)) throw e;
+      await sleep(baseDelay * 2 ** attempt + Math.random() * 100, signal);
+    }
+  }
+}
+
+// ----------------------------- Cache -----------------------------
+function readCache(key, ttl) {
+  const now = Date.now();
+  const hit = memory.get(key);
+  if (hit && now - hit.t < ttl) return hit;
+
+  const stored = loadJSON(CACHE_PREFIX + key, null);
+  if (stored && now - stored.t < ttl) {
+    memory.set(key, stored);
+    return stored;
+  }
+  return null;
+}
+
+// Older indexes were a list of keys; their sizes are measured once
+function loadIndex() {
+  return loadJSON(CACHE_INDEX_KEY, []).map((x) =>
+    typeof x === "string" ? { key: x, size: JSON.stringify(loadJSON(CACHE_PREFIX + x, null)).length } : x
+  );
+}
+
+// Drops the oldest persisted entry, -> its size
+function evictOldest(index) {
+  const { key, size } = index.shift();
+  removeKey(CACHE_PREFIX + key);
+  return size;
+}
+
+// Saves `value`, evicting the oldest entries while storage is full. -> false
+// if it still doesn't fit with the cache empty.
+function saveEvicting(key, value, index) {
+  while (!saveJSON(key, value)) {
+    if (index.length === 0) return false;
+    evictOldest(index);
+  }
+  return true;
+}
+
+function writeCache(key, value) {
+  const entry = { t: Date.now(), v: value };
+  memory.set(key, entry);
+  const size = JSON.stringify(entry).length;
+  if (size > MAX_PERSISTED_SIZE) return; // kept in memory only
+
+  const index = loadIndex().filter((x) => x.key !== key);
+  let total = index.reduce((sum, x) => sum + x.size, 0);
+  while (index.length > 0 && total + size > MAX_PERSISTED_SIZE) total -= evictOldest(index);
+  if (saveEvicting(CACHE_PREFIX + key, entry, index)) index.push({ key, size });
+  else removeKey(CACHE_PREFIX + key); // an older copy, no longer indexed
+  saveEvicting(CACHE_INDEX_KEY, index, index);
+}
+
+export function clearCache() {
+  memory.clear();
+  for (const { key } of loadIndex()) removeKey(CACHE_PREFIX + key);
+  removeKey(CACHE_INDEX_KEY);
+}
+
+// ----------------------------- In-flight sharing -----------------------------
+function share(key, load, signal) {
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, users: 0 };
+    entry.promise = load(controller.signal).finally(() => {
+      if (inflight.get(key) === entry) inflight.delete(key);
+    });
+    inflight.set(key, entry);
+  }
+  const shared = entry;
+  shared.users++;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const leave = () => {
+      settled = true;
+      shared.users--;
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onAbort = () => {
+      if (settled) return;
+      leave();
+      if (shared.users === 0) {
+        if (inflight.get(key) === shared) inflight.delete(key);
+        shared.controller.abort();
+      }
+      reject(abortError());
+    };
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    shared.promise.then(
+      (v) => {
+        if (settled) return;
+        leave();
+        resolve(v);
+      },
+      (e) => {
+        if (settled) return;
+        leave();
+        reject(e);
+      }
+    );
+  });
+}
+
+function cached(name, ttl, load, { signal } = {}) {
+  if (!provider.cacheable) return load(signal);
+  const key = `${provider.id}:${name}`;
+  const hit = readCache(key, ttl);
+  if (hit) return Promise.resolve(hit.v);
+  return share(
+    key,
+    async (sharedSignal) => {
+      try {
+        const value = await withRetry(load, { signal: sharedSignal });
+        writeCache(key, value);
+        return value;
+      } catch (e) {
+        const stale = isNetworkError(e) && readCache(key, Infinity);
+        if (stale) return { ...stale.v, offline: true };
+        throw e;
+      }
+    },
+    signal
+  );
+}
+
+// ----------------------------- Offline fallback -----------------------------
+// Every meal we have full details for: persisted lookups (whatever their age)
+// and the signed-in profile's favourites' snapshots
+function savedMeals() {
+  const byId = new Map();
+  const prefix = `${provider.id}:lookup:`;
+  for (const { key } of loadIndex()) {
+    if (!key.startsWith(prefix)) continue;
+    const meal = loadJSON(CACHE_PREFIX + key, null)?.v?.meals?.[0];
+    if (meal?.idMeal) byId.set(String(meal.idMeal), meal);
+  }
+  const favouritesKey = scopedKey(FAVOURITES_KEY);
+  for (const f of favouritesKey ? loadJSON(favouritesKey, []) : []) {
+    if (f.meal?.idMeal) byId.set(String(f.meal.idMeal), f.meal);
+  }
+  return [...byId.values()];
+}
+
+function orSaved(request, answer) {
+  return request.catch(async (e) => {
+    if (!isNetworkError(e)) throw e;
+    const res = await answer(createLocalProvider(savedMeals(), { label: "Saved recipes" }));
+    return { ...res, offline: true };
+  });
+}
+
+// ----------------------------- Own recipes -----------------------------
+function ownRecipes() {
+  return createLocalProvider(loadJSON(MY_RECIPES_KEY, []), { id: "mine", label: "My recipes" });
+}
+
+// Own matches first, then the provider's; `{ meals: null }` if neither has any
+async function withOwnMatches(request, ing, signal) {
+  const [own, res] = await Promise.all([ownRecipes().filterByIngredient(ing, signal), request]);
+  const ownIds = new Set((own.meals || []).map((m) => m.idMeal));
+  const meals = [...(own.meals || []), ...(res?.meals || []).filter((m) => !ownIds.has(m.idMeal))];
+  return { ...res, meals: meals.length ? meals : null };
+}
+
+// ----------------------------- Public API -----------------------------
+export const API = {
+  source: { id: provider.id, label: provider.label },
+
+  filterByIngredient: (ing, opts) =>
+    withOwnMatches(
+      orSaved(
+        cached(`filter:${ing.toLowerCase()}`, TTL.filter, (signal) => provider.filterByIngredient(ing, signal), opts),
+        (saved) => saved.filterByIngredient(ing, opts?.signal)
+      ),
+      ing,
+      opts?.signal
+    ),
+  lookupById: (id, opts) =>
+    isOwnRecipe(id)
+      ? ownRecipes().lookupById(id, opts?.signal)
+      : orSaved(
+          cached(`lookup:${id}`, TTL.lookup, (signal) => provider.lookupById(id, signal), opts),
+          (saved) => saved.lookupById(id, opts?.signal)
+        ),
+  listIngredients: (opts) =>
+    orSaved(
+      cached("ingredients", TTL.ingredients, (signal) => provider.listIngredients(signal), opts),
+      (saved) => saved.listIngredients(opts?.signal)
+    ),
+  listAreas: (opts) => cached("areas", TTL.lists, (signal) => provider.listAreas(signal), opts),
+  listCategories: (opts) => cached("categories", TTL.lists, (signal) => provider.listCategories(signal), opts),
+
+  // Looks up several meals at once. Individual failures don't sink the batch:
+  // resolves with the meals that loaded plus the ids that didn't.
+  lookupMany: async (ids, opts = {}) => {
+    const results = await Promise.allSettled(ids.map((id) => API.lookupById(id, opts)));
+    if (opts.signal?.aborted) throw abortError();
+    const meals = [];
+    const failed = [];
+    results.forEach((r, i) => {
+      const meal = r.status === "fulfilled" ? r.value?.meals?.[0] : null;
+      if (meal) meals.push(meal);
+      else failed.push(ids[i]);
+    });
+    return { meals, failed };
+  },
+};
@@ -0,0 +1,226 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { API, clearCache, isAbortError, withRetry } from "./api";
+
+const provider = vi.hoisted(() => ({ id: "test", label: "Test", cacheable: true }));
+vi.mock("./providers", () => ({ provider }));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// localStorage with a quota in characters, like the browser's
+function fakeStorage(quota = Infinity) {
+  const items = new Map();
+  const used = () => [...items].reduce((n, [k, v]) => n + k.length + v.length, 0);
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => {
+      const before = items.get(k);
+      items.set(k, String(v));
+      if (used() > quota) {
+        if (before == null) items.delete(k);
+        else items.set(k, before);
+        throw new DOMException("Quota exceeded", "QuotaExceededError");
+      }
+    },
+    removeItem: (k) => items.delete(k),
+    key: (i) => [...items.keys()][i] ?? null,
+    get length() {
+      return items.size;
+    },
+  };
+}
+
+// A provider call that waits to be settled by hand and rejects when aborted
+function deferred() {
+  const call = { signal: null };
+  call.fn = vi.fn((signal) => {
+    call.signal = signal;
+    return new Promise((resolve, reject) => {
+      call.resolve = resolve;
+      signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+    });
+  });
+  return call;
+}
+
+// Fresh copy of the module, with an empty in-memory cache but the same storage
+async function reloadApi() {
+  vi.resetModules();
+  return (await import("./api")).API;
+}
+
+beforeEach(() => {
+  vi.stubGlobal("window", { localStorage: fakeStorage() });
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  clearCache();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("in-flight sharing", () => {
+  it("gives concurrent callers one fetch", async () => {
+    const call = deferred();
+    provider.listAreas = call.fn;
+    const a = API.listAreas();
+    const b = API.listAreas();
+    call.resolve({ meals: [{ strArea: "Greek" }] });
+    expect(await a).toEqual({ meals: [{ strArea: "Greek" }] });
+    expect(await b).toBe(await a);
+    expect(call.fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("answers later callers from the cache", async () => {
+    provider.listAreas = vi.fn(async () => ({ meals: [] }));
+    await API.listAreas();
+    await API.listAreas();
+    expect(provider.listAreas).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("abort", () => {
+  it("lets one caller leave without cancelling the shared fetch", async () => {
+    const call = deferred();
+    provider.listAreas = call.fn;
+    const first = new AbortController();
+    const a = API.listAreas({ signal: first.signal });
+    const b = API.listAreas();
+    first.abort();
+    await expect(a).rejects.toSatisfy(isAbortError);
+    expect(call.signal.aborted).toBe(false);
+    call.resolve({ meals: [] });
+    expect(await b).toEqual({ meals: [] });
+  });
+
+  it("cancels the fetch once every caller has left", async () => {
+    const call = deferred();
+    provider.listAreas = call.fn;
+    const first = new AbortController();
+    const second = new AbortController();
+    const a = API.listAreas({ signal: first.signal });
+    const b = API.listAreas({ signal: second.signal });
+    first.abort();
+    second.abort();
+    await expect(a).rejects.toSatisfy(isAbortError);
+    await expect(b).rejects.toSatisfy(isAbortError);
+    expect(call.signal.aborted).toBe(true);
+
+    // The next caller starts over rather than joining the cancelled fetch
+    provider.listAreas = vi.fn(async () => ({ meals: [] }));
+    expect(await API.listAreas()).toEqual({ meals: [] });
+  });
+
+  it("rejects straight away for a signal that is already aborted", async () => {
+    provider.listAreas = vi.fn(async () => ({ meals: [] }));
+    const controller = new AbortController();
+    controller.abort();
+    await expect(API.listAreas({ signal: controller.signal })).rejects.toSatisfy(isAbortError);
+  });
+});
+
+describe("withRetry", () => {
+  const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, "random").mockReturnValue(0);
+  });
+
+  it("retries server errors with exponential backoff", async () => {
+    const fn = vi.fn().mockRejectedValueOnce(httpError(503)).mockRejectedValueOnce(httpError(429)).mockResolvedValue("ok");
+    const result = withRetry(fn, { baseDelay: 100 });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fn).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(99);
+    expect(fn).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fn).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(200);
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(await result).toBe("ok");
+  });
+
+  it("retries network failures and gives up after the last retry", async () => {
+    const fn = vi.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+    const result = withRetry(fn, { retries: 2, baseDelay: 100 });
+    const outcome = expect(result).rejects.toThrow("Failed to fetch");
+    await vi.advanceTimersByTimeAsync(1000);
+    await outcome;
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it("doesn't retry client errors", async () => {
+    const fn = vi.fn().mockRejectedValue(httpError(404));
+    await expect(withRetry(fn)).rejects.toThrow("HTTP 404");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops waiting when aborted during the backoff", async () => {
+    const controller = new AbortController();
+    const fn = vi.fn().mockRejectedValue(httpError(500));
+    const result = withRetry(fn, { signal: controller.signal, baseDelay: 100 });
+    const outcome = expect(result).rejects.toSatisfy(isAbortError);
+    await vi.advanceTimersByTimeAsync(50);
+    controller.abort();
+    await outcome;
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("TTL", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2024-01-01T00:00:00Z"));
+  });
+
+  it("refetches once an entry is older than its TTL", async () => {
+    provider.listAreas = vi.fn(async () => ({ meals: [] }));
+    await API.listAreas();
+    vi.setSystemTime(Date.now() + 7 * DAY - 1);
+    await API.listAreas();
+    expect(provider.listAreas).toHaveBeenCalledTimes(1);
+    vi.setSystemTime(Date.now() + 1);
+    await API.listAreas();
+    expect(provider.listAreas).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps entries across reloads until they expire", async () => {
+    provider.filterByIngredient = vi.fn(async () => ({ meals: [{ idMeal: "1", strMeal: "Soup" }] }));
+    await API.filterByIngredient("Leek");
+    let fresh = await reloadApi();
+    await fresh.filterByIngredient("leek");
+    expect(provider.filterByIngredient).toHaveBeenCalledTimes(1);
+
+    vi.setSystemTime(Date.now() + DAY);
+    fresh = await reloadApi();
+    await fresh.filterByIngredient("leek");
+    expect(provider.filterByIngredient).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("persistent cache size", () => {
+  const meal = (id, size) => ({ meals: [{ idMeal: id, strMeal: "x".repeat(size) }] });
+
+  it("drops the oldest entries when storage is full", async () => {
+    vi.stubGlobal("window", { localStorage: fakeStorage(3000) });
+    provider.lookupById = vi.fn(async (id) => meal(id, 900));
+    for (const id of ["1", "2", "3", "4", "5"]) await API.lookupById(id);
+
+    const fresh = await reloadApi();
+    await fresh.lookupById("5");
+    expect(provider.lookupById).toHaveBeenCalledTimes(5);
+    await fresh.lookupById("1");
+    expect(provider.lookupById).toHaveBeenCalledTimes(6);
+  });
+
+  it("stays under its size cap, leaving room for the user's data", async () => {
+    provider.lookupById = vi.fn(async (id) => meal(id, 400 * 1000));
+    for (const id of ["1", "2", "3", "4"]) await API.lookupById(id);
+    const stored = window.localStorage;
+    const cached = [...Array(stored.length).keys()].map((i) => stored.key(i)).filter((k) => k.includes("cache:"));
+    expect(cached).toEqual(["recipe-ideas:cache:test:lookup:2", "recipe-ideas:cache:test:lookup:3", "recipe-ideas:cache:test:lookup:4"]);
+  });
+});
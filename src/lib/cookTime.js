@@ -0,0 +1,93 @@
+import { findDurations } from "./durations";
+import { extractIngredients } from "./recipe";
+import { splitSteps } from "./steps";
+
+// Cook time read from the recipe itself. Durations written in the method
+// ("bake 45 mins", "marinate overnight", "simmer 1-2 hours") are the evidence;
+// each is counted as active (someone is at the stove) or passive (oven,
+// fridge, resting) from the verbs around it. Prep is estimated from the
+// ingredients, and steps with no duration get a couple of active minutes.
+// If the method gives no durations at all, the old ingredient/sentence
+// heuristic is used and the result is marked as an estimate.
+
+const PASSIVE = /\b(bake[sd]?|baking|roast(ed|ing)?|marinat(e|es|ed|ing)|rest(s|ed|ing)?(?!\s+of)|chill(ed|ing)?|refrigerat(e|ed|ing)|fridge|freez(e|er|ing)|soak(ed|ing)?|prove|proof|rise|set|cool(ed|ing)?|simmer(ed|ing)?|braise|braising|stew(ing)?|slow[- ]cook|pressure[- ]cook|boil(ed|ing)?|leave|left|stand(ing)?|steep|infuse|ferment|oven)\b/i;
+// Not how long something takes: "stir every 5 minutes", "keeps for up to 2 hours"
+const NOT_A_DURATION = /\b(every|each|per|up to|within|keeps?|store[sd]?|lasts?)\s*(?:for\s*)?(?:about\s*)?$/i;
+const OVERNIGHT = /\bovernight\b/gi;
+
+const PREP_BASE = 5;
+const PREP_PER_INGREDIENT = 1;
+const PREP_PER_CUT = 2; // measures like "chopped", "diced", "sliced"
+const UNTIMED_STEP = 2;
+const CUT = /\b(chopped|diced|sliced|minced|grated|peeled|crushed|julienned|cubed|shredded|deseeded|trimmed)\b/i;
+
+function roundTo5(mins) {
+  return Math.max(5, Math.round(mins / 5) * 5);
+}
+
+// The sentence of `text` around position `index`
+function sentenceAt(text, index) {
+  const start = Math.max(text.lastIndexOf(".", index - 1), text.lastIndexOf("!", index - 1), text.lastIndexOf("?", index - 1)) + 1;
+  const end = text.slice(index).search(/[.!?](\s|$)/);
+  return text.slice(start, end === -1 ? undefined : index + end);
+}
+
+function prepMinutes(meal) {
+  const ings = extractIngredients(meal);
+  const cuts = ings.filter((x) => CUT.test(x.measure) || CUT.test(x.ingredient)).length;
+  return roundTo5(PREP_BASE + ings.length * PREP_PER_INGREDIENT + cuts * PREP_PER_CUT);
+}
+
+// Old heuristic, for methods that give no durations at all
+function heuristicMinutes(meal) {
+  const ings = extractIngredients(meal);
+  const sentences = (meal?.strInstructions || "").split(/\n|\.|\r/).filter((s) => s.trim().length > 6).length;
+  return Math.round(10 + ings.length * 2 + sentences * 2);
+}
+
+// -> { prep, active: [min, max], passive: [min, max], total: [min, max],
+//      evidence: [{ text, step, kind, min, max }], estimated }  (minutes)
+export function analyzeCookTime(meal) {
+  const prep = prepMinutes(meal);
+  const evidence = [];
+  let untimed = 0;
+
+  splitSteps(meal?.strInstructions).forEach((step, i) => {
+    const found = findDurations(step)
+      .filter((d) => !NOT_A_DURATION.test(step.slice(0, d.index)))
+      .map((d) => ({ text: d.text, index: d.index, min: d.seconds / 60, max: d.maxSeconds / 60 }));
+    for (const m of step.matchAll(OVERNIGHT)) found.push({ text: m[0], index: m.index, min: 8 * 60, max: 12 * 60 });
+    if (found.length === 0) untimed++;
+    for (const d of found) {
+      const kind = d.min >= 8 * 60 || PASSIVE.test(sentenceAt(step, d.index)) ? "passive" : "active";
+      evidence.push({ text: d.text, step: i, kind, min: Math.round(d.min), max: Math.round(d.max) });
+    }
+  });
+
+  const sum = (kind, key) => evidence.filter((e) => e.kind === kind).reduce((s, e) => s + e[key], 0);
+  const estimated = evidence.length === 0;
+  const activeMin = estimated ? Math.max(5, heuristicMinutes(meal) - prep) : sum("active", "min") + untimed * UNTIMED_STEP;
+  const activeMax = estimated ? activeMin : sum("active", "max") + untimed * UNTIMED_STEP;
+  const passive = [sum("passive", "min"), sum("passive", "max")];
+  return {
+    prep,
+    active: [activeMin, activeMax],
+    passive,
+    total: [prep + activeMin + passive[0], prep + activeMax + passive[1]],
+    evidence,
+    estimated,
+  };
+}
+
+const cache = new WeakMap();
+
+export function cookTimeOf(meal) {
+  if (!meal) return analyzeCookTime(meal);
+  if (!cache.has(meal)) cache.set(meal, analyzeCookTime(meal));
+  return cache.get(meal);
+}
+
+// Minutes used for sorting, filtering and the planner: the low end of the total
+export function estimateCookTime(meal) {
+  return cookTimeOf(meal).total[0];
+}
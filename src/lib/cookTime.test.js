@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { analyzeCookTime, cookTimeOf, estimateCookTime } from "./cookTime";
+
+// A meal with one onion unless other [ingredient, measure] pairs are given
+function meal(method, ingredients = [["Onion", "1"]]) {
+  const m = { strInstructions: method };
+  ingredients.forEach(([ingredient, measure], i) => {
+    m[`strIngredient${i + 1}`] = ingredient;
+    m[`strMeasure${i + 1}`] = measure;
+  });
+  return m;
+}
+
+describe("analyzeCookTime", () => {
+  it.each([
+    ["Fry the onion for 10 minutes.", { active: [10, 10], passive: [0, 0], total: [15, 15] }],
+    ["Bake for 45 mins.", { active: [0, 0], passive: [45, 45], total: [50, 50] }],
+    ["Let it rest for 10 minutes.", { active: [0, 0], passive: [10, 10], total: [15, 15] }],
+    ["Simmer for 1-2 hours.", { active: [0, 0], passive: [60, 120], total: [65, 125] }],
+    ["Marinate overnight.\nGrill for 10 minutes.", { active: [10, 10], passive: [480, 720], total: [495, 735] }],
+    ["Chop the onion.\nFry for 10 minutes.", { active: [12, 12], passive: [0, 0], total: [17, 17] }],
+  ])("%j", (method, expected) => {
+    const time = analyzeCookTime(meal(method));
+    expect(time).toMatchObject({ prep: 5, estimated: false, ...expected });
+  });
+
+  it("records where each duration came from", () => {
+    const { evidence } = analyzeCookTime(meal("Marinate overnight.\nGrill for 10 minutes."));
+    expect(evidence).toEqual([
+      { text: "overnight", step: 0, kind: "passive", min: 480, max: 720 },
+      { text: "10 minutes", step: 1, kind: "active", min: 10, max: 10 },
+    ]);
+  });
+
+  it.each([
+    ["Stir every 5 minutes.\nServe."],
+    ["Keeps for up to 2 hours."],
+    ["Chop.\nMix.\nServe."],
+    [""],
+  ])("falls back to an estimate for %j", (method) => {
+    const time = analyzeCookTime(meal(method));
+    expect(time.estimated).toBe(true);
+    expect(time.evidence).toEqual([]);
+    expect(time.passive).toEqual([0, 0]);
+    expect(time.active[0]).toBeGreaterThanOrEqual(5);
+  });
+
+  it.each([
+    [[["Onion", "1"]], 5],
+    [[["Onion", "1 chopped"], ["Garlic", "2 cloves minced"], ["Salt", "pinch"]], 10],
+    [[], 5],
+  ])("estimates prep from the ingredients: %#", (ingredients, prep) => {
+    expect(analyzeCookTime(meal("Fry for 10 minutes.", ingredients)).prep).toBe(prep);
+  });
+
+  it("copes with no meal at all", () => {
+    expect(analyzeCookTime(undefined)).toMatchObject({ prep: 5, estimated: true });
+  });
+});
+
+describe("cookTimeOf", () => {
+  it("analyses each meal object once", () => {
+    const m = meal("Bake for 45 mins.");
+    expect(cookTimeOf(m)).toBe(cookTimeOf(m));
+    expect(cookTimeOf(m)).toEqual(analyzeCookTime(m));
+  });
+
+  it("uses the low end of the total for sorting and filtering", () => {
+    expect(estimateCookTime(meal("Simmer for 1-2 hours."))).toBe(65);
+  });
+});
@@ -0,0 +1,76 @@
+import CUISINE_GROUPS from "../data/cuisine-groups.json";
+
+// Cuisine and category filter options, built from the provider's area and
+// category lists and shaped by a mapping (../data/cuisine-groups.json):
+//
+//   areas.hidden / areas.rename       drop or relabel areas
+//   areas.regions                     { region: [area, ...] } headings for the list
+//   subCuisines                       [{ label, parent, tags, keywords }] — a
+//                                     regional cuisine inside an area, matched by
+//                                     strTags or words in the meal name
+//   categories.hidden / .rename       same for categories
+//
+// An option is { label, region?, parent?, areas?, categories?, tags?, keywords? }.
+
+const OTHER_REGION = "Other";
+
+function normTag(t) {
+  return String(t).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+export function matchesOption(meal, opt) {
+  if (opt.areas && !opt.areas.includes(meal.strArea)) return false;
+  if (opt.categories && !opt.categories.includes(meal.strCategory)) return false;
+  if (!opt.tags?.length && !opt.keywords?.length) return true;
+  const tags = (meal.strTags || "").split(",").map(normTag);
+  const name = (meal.strMeal || "").toLowerCase();
+  return (
+    (opt.tags || []).some((t) => tags.includes(normTag(t))) ||
+    (opt.keywords || []).some((k) => name.includes(k.toLowerCase()))
+  );
+}
+
+function regionOf(area, regions) {
+  return Object.keys(regions).find((r) => regions[r].includes(area)) || OTHER_REGION;
+}
+
+// areas: area names from the provider (plus any seen on loaded meals)
+export function buildCuisineOptions(areas, mapping = CUISINE_GROUPS) {
+  const { hidden = [], rename = {}, regions = {} } = mapping.areas || {};
+  const regionOrder = [...Object.keys(regions), OTHER_REGION];
+  const list = [...new Set(areas.filter(Boolean))]
+    .filter((a) => !hidden.includes(a))
+    .map((area) => ({ label: rename[area] || area, region: regionOf(area, regions), areas: [area] }))
+    .sort((a, b) => regionOrder.indexOf(a.region) - regionOrder.indexOf(b.region) || a.label.localeCompare(b.label));
+
+  // Sub-cuisines follow their parent area, and only when it exists
+  const options = [];
+  for (const opt of list) {
+    options.push(opt);
+    for (const sub of mapping.subCuisines || []) {
+      if (sub.parent !== opt.areas[0]) continue;
+      options.push({
+        label: sub.label,
+        region: opt.region,
+        parent: opt.label,
+        areas: [sub.parent],
+        tags: sub.tags || [],
+        keywords: sub.keywords || [],
+      });
+    }
+  }
+  return options;
+}
+
+export function buildCategoryOptions(categories, mapping = CUISINE_GROUPS) {
+  const { hidden = [], rename = {} } = mapping.categories || {};
+  return [...new Set(categories.filter(Boolean))]
+    .filter((c) => !hidden.includes(c))
+    .map((c) => ({ label: rename[c] || c, categories: [c] }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// Selected labels -> their options. Labels not (yet) offered are ignored.
+export function selectedOptions(options, labels) {
+  return options.filter((o) => labels.includes(o.label));
+}
@@ -0,0 +1,76 @@
+// Finds durations written in recipe text: "simmer for 15 minutes",
+// "bake 1 hr 20 mins", "rest 10-15 mins", "boil for two minutes".
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40,
+  "forty-five": 45, sixty: 60, half: 0.5, "a half": 0.5, "half an": 0.5, "half a": 0.5,
+};
+
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+const NUM = String.raw`\d+\s+\d+\/\d+|\d+\s*\/\s*\d+|\d+(?:[.,]\d+)?|half an|half a|a half|${Object.keys(NUMBER_WORDS)
+  .filter((w) => !w.includes(" "))
+  .sort((a, b) => b.length - a.length)
+  .join("|")}`;
+const UNIT = String.raw`hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s`;
+
+// "1 hour 30 minutes", "1 hr and 20 mins"
+const COMPOUND_RE = new RegExp(
+  String.raw`\b(${NUM})\s*(?:hours?|hrs?|h)\.?\s*(?:and\s*)?(\d+)\s*(?:minutes?|mins?|m)\b\.?`,
+  "gi"
+);
+// "15 minutes", "10-15 mins", "10 to 15 minutes", "1½ hours", "an hour"
+const SIMPLE_RE = new RegExp(
+  String.raw`\b(${NUM})(?:\s*(?:-|–|to)\s*(${NUM}))?\s*(?:more\s+)?(${UNIT})\b\.?`,
+  "gi"
+);
+
+function toNumber(text) {
+  const t = text.trim().toLowerCase();
+  if (t in NUMBER_WORDS) return NUMBER_WORDS[t];
+  const mixed = t.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const frac = t.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (frac) return Number(frac[1]) / Number(frac[2]);
+  return Number(t.replace(",", "."));
+}
+
+function unitSeconds(unit) {
+  return UNIT_SECONDS[unit.toLowerCase()[0]];
+}
+
+// -> [{ text, index, seconds, maxSeconds }] in order of appearance.
+// `seconds` is the lower bound of a range, `maxSeconds` the upper.
+export function findDurations(text) {
+  const source = (text || "").replace(/½/g, ".5").replace(/(\d)\s+\.5/g, "$1.5");
+  const found = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+
+  for (const m of source.matchAll(COMPOUND_RE)) {
+    const seconds = toNumber(m[1]) * 3600 + Number(m[2]) * 60;
+    found.push({ text: m[0].trim().replace(/\.$/, ""), index: m.index, seconds, maxSeconds: seconds });
+    taken.push([m.index, m.index + m[0].length]);
+  }
+  for (const m of source.matchAll(SIMPLE_RE)) {
+    if (overlaps(m.index, m.index + m[0].length)) continue;
+    // A bare "m", "h" or "s" only counts straight after a digit ("15m", "2h")
+    if (m[3].length === 1 && !/\d\s*[hms]\.?$/i.test(m[0])) continue;
+    const per = unitSeconds(m[3]);
+    const low = toNumber(m[1]);
+    const high = m[2] ? toNumber(m[2]) : low;
+    if (!Number.isFinite(low) || !Number.isFinite(high) || low <= 0) continue;
+    found.push({ text: m[0].trim().replace(/\.$/, ""), index: m.index, seconds: low * per, maxSeconds: high * per });
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+// 90 -> "1:30", 3725 -> "1:02:05"
+export function formatClock(totalSeconds) {
+  const s = Math.max(0, Math.round(totalSeconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = String(s % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
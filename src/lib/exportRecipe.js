@@ -0,0 +1,151 @@
+import { cookTimeOf } from "./cookTime";
+import { t } from "./i18n";
+import { escapeHtml } from "./print";
+import { extractIngredients, formatDuration } from "./recipe";
+import { splitSteps } from "./steps";
+
+// Taking recipes out of the app: Markdown, printable HTML and schema.org
+// Recipe JSON-LD (what recipe managers and search engines import). Each works
+// on a TheMealDB meal; favourites add the user's notes and tags. Headings and
+// labels follow the active locale (see ./i18n); the recipe text is as written.
+
+function ingredientLine({ ingredient, measure }) {
+  return measure ? `${measure} ${ingredient}` : ingredient;
+}
+
+function tagsOf(meal) {
+  return (meal.strTags || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+// Exported files leave the app, so bundled images need their full address
+function absoluteUrl(url) {
+  try {
+    return new URL(url, window.location.href).href;
+  } catch {
+    return url;
+  }
+}
+
+// "Beef · British · about 1 h 30 min"
+function summaryLine(meal) {
+  const time = cookTimeOf(meal).total[0];
+  return [meal.strCategory, meal.strArea, time ? t("export.about", { time: formatDuration(time) }) : ""].filter(Boolean).join(" · ");
+}
+
+// "chicken-curry" for file names
+export function slugify(text) {
+  return (
+    String(text || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "recipe"
+  );
+}
+
+// ----------------------------- Markdown -----------------------------
+// `level` is the heading level of the title, so recipes can be nested in a collection
+export function recipeToMarkdown(meal, { notes = "", tags = [], level = 1 } = {}) {
+  const h = (n) => "#".repeat(level + n);
+  const lines = [`${h(0)} ${meal.strMeal}`, ""];
+  const summary = summaryLine(meal);
+  if (summary) lines.push(`_${summary}_`, "");
+  if (meal.strMealThumb) lines.push(`![${meal.strMeal}](${absoluteUrl(meal.strMealThumb)})`, "");
+
+  lines.push(`${h(1)} ${t("export.ingredients")}`, "");
+  for (const x of extractIngredients(meal)) lines.push(`- ${ingredientLine(x)}`);
+  lines.push("", `${h(1)} ${t("export.method")}`, "");
+  splitSteps(meal.strInstructions).forEach((step, i) => lines.push(`${i + 1}. ${step}`));
+  lines.push("");
+
+  if (notes.trim()) lines.push(`${h(1)} ${t("export.notes")}`, "", notes.trim(), "");
+  const allTags = [...new Set([...tagsOf(meal), ...tags])];
+  if (allTags.length) lines.push(t("export.tags", { tags: allTags.join(", ") }), "");
+  const links = [
+    meal.strSource && `[${t("export.source")}](${meal.strSource})`,
+    meal.strYoutube && `[${t("export.video")}](${meal.strYoutube})`,
+  ].filter(Boolean);
+  if (links.length) lines.push(links.join(" · "), "");
+  return lines.join("\n");
+}
+
+export function favouritesToMarkdown(favourites) {
+  const parts = [`# ${t("export.favourites")}`, "", t("export.recipeCount", { count: favourites.length }), ""];
+  for (const f of favourites) {
+    parts.push("---", "", recipeToMarkdown(f.meal || f, { notes: f.notes, tags: f.tags, level: 2 }));
+  }
+  return parts.join("\n");
+}
+
+// ----------------------------- Print -----------------------------
+export function recipeToPrintHtml(meal, { notes = "" } = {}) {
+  const summary = summaryLine(meal);
+  return (
+    `<h1>${escapeHtml(meal.strMeal)}</h1>` +
+    (summary ? `<p class="muted">${escapeHtml(summary)}</p>` : "") +
+    (meal.strMealThumb ? `<img src="${escapeHtml(meal.strMealThumb)}" alt="">` : "") +
+    `<h2>${escapeHtml(t("export.ingredients"))}</h2><ul>` +
+    extractIngredients(meal)
+      .map((x) => `<li>${escapeHtml(ingredientLine(x))}</li>`)
+      .join("") +
+    `</ul><h2>${escapeHtml(t("export.method"))}</h2><ol>` +
+    splitSteps(meal.strInstructions)
+      .map((step) => `<li>${escapeHtml(step)}</li>`)
+      .join("") +
+    `</ol>` +
+    (notes.trim() ? `<h2>${escapeHtml(t("export.notes"))}</h2><p>${escapeHtml(notes.trim())}</p>` : "") +
+    (meal.strSource ? `<p class="muted">${escapeHtml(t("export.sourceLine", { url: meal.strSource }))}</p>` : "")
+  );
+}
+
+// ----------------------------- schema.org JSON-LD -----------------------------
+// 95 -> "PT1H35M"
+export function isoDuration(mins) {
+  const h = Math.floor(mins / 60);
+  const m = Math.round(mins % 60);
+  return `PT${h ? `${h}H` : ""}${m || !h ? `${m}M` : ""}`;
+}
+
+export function recipeToJsonLd(meal, { tags = [] } = {}) {
+  const time = cookTimeOf(meal);
+  const keywords = [...new Set([...tagsOf(meal), ...tags])];
+  const recipe = {
+    "@type": "Recipe",
+    identifier: String(meal.idMeal),
+    name: meal.strMeal,
+    image: meal.strMealThumb ? [absoluteUrl(meal.strMealThumb)] : undefined,
+    recipeCategory: meal.strCategory || undefined,
+    recipeCuisine: meal.strArea || undefined,
+    keywords: keywords.length ? keywords.join(", ") : undefined,
+    prepTime: isoDuration(time.prep),
+    cookTime: isoDuration(time.total[0] - time.prep),
+    totalTime: isoDuration(time.total[0]),
+    recipeIngredient: extractIngredients(meal).map(ingredientLine),
+    recipeInstructions: splitSteps(meal.strInstructions).map((text) => ({ "@type": "HowToStep", text })),
+    url: meal.strSource || undefined,
+    video: meal.strYoutube
+      ? { "@type": "VideoObject", name: meal.strMeal, contentUrl: meal.strYoutube, embedUrl: meal.strYoutube }
+      : undefined,
+  };
+  return JSON.parse(JSON.stringify(recipe)); // drops the undefined fields
+}
+
+export function serializeRecipeJsonLd(meal, options) {
+  return JSON.stringify({ "@context": "https://schema.org", ...recipeToJsonLd(meal, options) }, null, 2);
+}
+
+// A whole collection as one JSON-LD document
+export function serializeFavouritesJsonLd(favourites) {
+  return JSON.stringify(
+    {
+      "@context": "https://schema.org",
+      "@graph": favourites.map((f) => recipeToJsonLd(f.meal || f, { tags: f.tags })),
+    },
+    null,
+    2
+  );
+}
@@ -0,0 +1,184 @@
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  favouritesToMarkdown,
+  isoDuration,
+  recipeToJsonLd,
+  recipeToMarkdown,
+  recipeToPrintHtml,
+  serializeFavouritesJsonLd,
+  serializeRecipeJsonLd,
+  slugify,
+} from "./exportRecipe";
+import { makeFavourite } from "./favourites";
+import { activateLocale } from "./i18n";
+
+const pie = {
+  idMeal: 52874,
+  strMeal: "Beef & Mustard Pie",
+  strCategory: "Beef",
+  strArea: "British",
+  strTags: "Pie, Comfort",
+  strMealThumb: "https://example.com/pie.jpg",
+  strInstructions: "Brown the beef.\nBake for 45 mins.",
+  strSource: "https://example.com/pie",
+  strYoutube: "https://youtube.com/watch?v=pie",
+  strIngredient1: "Beef",
+  strMeasure1: "1kg",
+  strIngredient2: "Mustard",
+  strMeasure2: "",
+};
+const bare = { idMeal: "1", strMeal: "Toast", strInstructions: "" };
+
+describe("slugify", () => {
+  it.each([
+    ["Chicken Curry", "chicken-curry"],
+    ["Crème Brûlée!", "creme-brulee"],
+    ["  --Beef & Mustard Pie--  ", "beef-mustard-pie"],
+    ["", "recipe"],
+    [null, "recipe"],
+  ])("%j -> %j", (text, slug) => {
+    expect(slugify(text)).toBe(slug);
+  });
+});
+
+describe("isoDuration", () => {
+  it.each([
+    [0, "PT0M"],
+    [45, "PT45M"],
+    [60, "PT1H"],
+    [95, "PT1H35M"],
+  ])("%s -> %s", (mins, iso) => {
+    expect(isoDuration(mins)).toBe(iso);
+  });
+});
+
+describe("recipeToMarkdown", () => {
+  it("writes the summary, ingredients, numbered method, tags and links", () => {
+    expect(recipeToMarkdown(pie).split("\n")).toEqual([
+      "# Beef & Mustard Pie",
+      "",
+      "_Beef · British · about 52 min_",
+      "",
+      "![Beef & Mustard Pie](https://example.com/pie.jpg)",
+      "",
+      "## Ingredients",
+      "",
+      "- 1kg Beef",
+      "- Mustard",
+      "",
+      "## Method",
+      "",
+      "1. Brown the beef.",
+      "2. Bake for 45 mins.",
+      "",
+      "Tags: Pie, Comfort",
+      "",
+      "[Source](https://example.com/pie) · [Video](https://youtube.com/watch?v=pie)",
+      "",
+    ]);
+  });
+
+  it("adds notes and merges the user's tags", () => {
+    const md = recipeToMarkdown(pie, { notes: " Less salt. ", tags: ["Pie", "weeknight"] });
+    expect(md).toContain("## Notes\n\nLess salt.\n");
+    expect(md).toContain("Tags: Pie, Comfort, weeknight");
+  });
+
+  it("nests headings under the given level and skips empty parts", () => {
+    expect(recipeToMarkdown(bare, { level: 2 })).toBe("## Toast\n\n_about 10 min_\n\n### Ingredients\n\n\n### Method\n\n");
+  });
+});
+
+describe("locale", () => {
+  afterEach(() => activateLocale("en"));
+
+  it("writes headings and labels in the active language, and the recipe as written", () => {
+    activateLocale("es");
+    const md = recipeToMarkdown(pie, { notes: "Menos sal" });
+    expect(md).toContain("_Beef · British · unos 52 min_");
+    expect(md).toContain("## Ingredientes\n\n- 1kg Beef");
+    expect(md).toContain("## Preparación\n\n1. Brown the beef.");
+    expect(md).toContain("## Notas\n\nMenos sal");
+    expect(md).toContain("Etiquetas: Pie, Comfort");
+    expect(md).toContain("[Fuente](https://example.com/pie) · [Vídeo]");
+    expect(favouritesToMarkdown([makeFavourite(pie)])).toMatch(/^# Recetas favoritas\n\n1 receta\n/);
+    expect(recipeToPrintHtml(pie)).toContain("<h2>Ingredientes</h2>");
+  });
+});
+
+describe("favouritesToMarkdown", () => {
+  it.each([
+    [[], "0 recipes"],
+    [[makeFavourite(pie)], "1 recipe"],
+    [[makeFavourite(pie), makeFavourite(bare)], "2 recipes"],
+  ])("counts the recipes: %#", (favourites, count) => {
+    const md = favouritesToMarkdown(favourites);
+    expect(md.startsWith(`# Favourite recipes\n\n${count}\n`)).toBe(true);
+    expect(md.split("\n---\n")).toHaveLength(favourites.length + 1);
+  });
+
+  it("nests each recipe with its notes", () => {
+    const md = favouritesToMarkdown([makeFavourite(pie, { notes: "Add peas" })]);
+    expect(md).toContain("## Beef & Mustard Pie\n");
+    expect(md).toContain("### Notes\n\nAdd peas");
+  });
+});
+
+describe("recipeToPrintHtml", () => {
+  it("escapes the recipe text", () => {
+    const html = recipeToPrintHtml({ ...pie, strInstructions: "Heat to <200°C> & bake." }, { notes: "<b>mine</b>" });
+    expect(html).toContain("<h1>Beef &amp; Mustard Pie</h1>");
+    expect(html).toContain("<ol><li>Heat to &lt;200°C&gt; &amp; bake.</li></ol>");
+    expect(html).toContain("<h2>Notes</h2><p>&lt;b&gt;mine&lt;/b&gt;</p>");
+    expect(html).toContain('<p class="muted">Source: https://example.com/pie</p>');
+  });
+
+  it("leaves out what the recipe doesn't have", () => {
+    expect(recipeToPrintHtml(bare)).toBe('<h1>Toast</h1><p class="muted">about 10 min</p><h2>Ingredients</h2><ul></ul><h2>Method</h2><ol></ol>');
+  });
+});
+
+describe("recipeToJsonLd", () => {
+  it("maps the meal onto schema.org Recipe", () => {
+    expect(recipeToJsonLd(pie, { tags: ["weeknight"] })).toEqual({
+      "@type": "Recipe",
+      identifier: "52874",
+      name: "Beef & Mustard Pie",
+      image: ["https://example.com/pie.jpg"],
+      recipeCategory: "Beef",
+      recipeCuisine: "British",
+      keywords: "Pie, Comfort, weeknight",
+      prepTime: "PT5M",
+      cookTime: "PT47M",
+      totalTime: "PT52M",
+      recipeIngredient: ["1kg Beef", "Mustard"],
+      recipeInstructions: [
+        { "@type": "HowToStep", text: "Brown the beef." },
+        { "@type": "HowToStep", text: "Bake for 45 mins." },
+      ],
+      url: "https://example.com/pie",
+      video: { "@type": "VideoObject", name: "Beef & Mustard Pie", contentUrl: pie.strYoutube, embedUrl: pie.strYoutube },
+    });
+  });
+
+  it("drops the fields the meal has no value for", () => {
+    expect(Object.keys(recipeToJsonLd(bare))).toEqual([
+      "@type",
+      "identifier",
+      "name",
+      "prepTime",
+      "cookTime",
+      "totalTime",
+      "recipeIngredient",
+      "recipeInstructions",
+    ]);
+  });
+
+  it("serializes one recipe or a collection with the schema.org context", () => {
+    expect(JSON.parse(serializeRecipeJsonLd(bare))).toMatchObject({ "@context": "https://schema.org", name: "Toast" });
+    const graph = JSON.parse(serializeFavouritesJsonLd([makeFavourite(pie, { tags: ["weeknight"] }), makeFavourite(bare)]));
+    expect(graph["@context"]).toBe("https://schema.org");
+    expect(graph["@graph"].map((r) => r.name)).toEqual(["Beef & Mustard Pie", "Toast"]);
+    expect(graph["@graph"][0].keywords).toBe("Pie, Comfort, weeknight");
+  });
+});
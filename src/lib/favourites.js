@@ -0,0 +1,86 @@
+import { t } from "./i18n";
+
+// Favourites collection — persisted in localStorage and shareable as a JSON file.
+// Each entry keeps a full snapshot of the meal so it can be shown in the Details
+// panel without another lookup, plus the user's own notes and tags.
+
+export const FAVOURITES_KEY = "favourites";
+const EXPORT_VERSION = 1;
+
+export function makeFavourite(meal, extra = {}) {
+  return {
+    idMeal: String(meal.idMeal),
+    strMeal: meal.strMeal || "",
+    strMealThumb: meal.strMealThumb || "",
+    strCategory: meal.strCategory || "",
+    meal,
+    notes: "",
+    tags: [],
+    addedAt: new Date().toISOString(),
+    ...extra,
+  };
+}
+
+export function isFavourite(favourites, idMeal) {
+  return favourites.some((f) => f.idMeal === String(idMeal));
+}
+
+export function updateFavourite(favourites, idMeal, patch) {
+  return favourites.map((f) => (f.idMeal === String(idMeal) ? { ...f, ...patch } : f));
+}
+
+// "spicy, Weeknight ,spicy" -> ["spicy", "weeknight"]
+export function parseTags(text) {
+  return [...new Set((text || "").split(",").map((t) => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+export function allTags(favourites) {
+  return [...new Set(favourites.flatMap((f) => f.tags || []))].sort((a, b) => a.localeCompare(b));
+}
+
+export function serializeFavourites(favourites) {
+  return JSON.stringify(
+    { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), favourites },
+    null,
+    2
+  );
+}
+
+// Accepts our own export format, a bare array of favourites, or a bare array of
+// TheMealDB meal objects. Anything without an idMeal is dropped.
+export function parseFavouritesFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("errors.invalidJson"));
+  }
+  const list = Array.isArray(data) ? data : data?.favourites;
+  if (!Array.isArray(list)) throw new Error(t("favourites.notAList"));
+
+  return list
+    .filter((x) => x && (x.idMeal || x.meal?.idMeal))
+    .map((x) => {
+      const meal = x.meal || x;
+      return makeFavourite(meal, {
+        notes: typeof x.notes === "string" ? x.notes : "",
+        tags: Array.isArray(x.tags) ? parseTags(x.tags.join(",")) : [],
+        addedAt: x.addedAt || new Date().toISOString(),
+      });
+    });
+}
+
+// Imported entries win for notes, tags are merged
+export function mergeFavourites(current, incoming) {
+  const byId = new Map(current.map((f) => [f.idMeal, f]));
+  for (const f of incoming) {
+    const existing = byId.get(f.idMeal);
+    byId.set(
+      f.idMeal,
+      existing
+        ? { ...existing, notes: f.notes || existing.notes, tags: parseTags([...existing.tags, ...f.tags].join(",")) }
+        : f
+    );
+  }
+  return [...byId.values()];
+}
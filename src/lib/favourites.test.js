@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { allTags, makeFavourite, mergeFavourites, parseFavouritesFile, parseTags, serializeFavourites } from "./favourites";
+
+const curry = { idMeal: "52772", strMeal: "Teriyaki Chicken Casserole", strMealThumb: "https://example.com/a.jpg", strCategory: "Chicken" };
+const soup = { idMeal: 52773, strMeal: "Honey Teriyaki Salmon" };
+
+describe("parseTags", () => {
+  it.each([
+    ["spicy, Weeknight ,spicy", ["spicy", "weeknight"]],
+    [" , ,", []],
+    ["", []],
+    [undefined, []],
+  ])("%j -> %j", (text, tags) => {
+    expect(parseTags(text)).toEqual(tags);
+  });
+});
+
+describe("parseFavouritesFile", () => {
+  it("reads our own export back", () => {
+    const saved = [makeFavourite(curry, { notes: "less sugar", tags: ["quick"], addedAt: "2024-01-01T00:00:00.000Z" })];
+    expect(parseFavouritesFile(serializeFavourites(saved))).toEqual(saved);
+  });
+
+  it("accepts a bare array of favourites or of meals", () => {
+    const [fromFavourite] = parseFavouritesFile(JSON.stringify([{ meal: curry, notes: "x", tags: ["A", "a", "b"] }]));
+    expect(fromFavourite).toMatchObject({ idMeal: "52772", strMeal: curry.strMeal, notes: "x", tags: ["a", "b"] });
+
+    const [fromMeal] = parseFavouritesFile(JSON.stringify([soup]));
+    expect(fromMeal).toMatchObject({ idMeal: "52773", strMeal: soup.strMeal, notes: "", tags: [] });
+  });
+
+  it("drops entries without an idMeal and ignores bad notes and tags", () => {
+    const list = parseFavouritesFile(JSON.stringify([null, { strMeal: "No id" }, { ...curry, notes: 5, tags: "spicy" }]));
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ idMeal: "52772", notes: "", tags: [] });
+  });
+
+  it.each([
+    ["not json", "File is not valid JSON."],
+    ['{"meals": []}', "File does not contain a favourites list."],
+    ["42", "File does not contain a favourites list."],
+  ])("rejects %j", (text, message) => {
+    expect(() => parseFavouritesFile(text)).toThrow(message);
+  });
+});
+
+describe("mergeFavourites", () => {
+  const current = [makeFavourite(curry, { notes: "mine", tags: ["quick"] })];
+
+  it("adds new favourites after the current ones", () => {
+    const merged = mergeFavourites(current, [makeFavourite(soup)]);
+    expect(merged.map((f) => f.idMeal)).toEqual(["52772", "52773"]);
+  });
+
+  it("lets imported notes win and merges tags", () => {
+    const [merged] = mergeFavourites(current, [makeFavourite(curry, { notes: "theirs", tags: ["spicy", "quick"] })]);
+    expect(merged.notes).toBe("theirs");
+    expect(merged.tags).toEqual(["quick", "spicy"]);
+  });
+
+  it("keeps the current notes when the import has none", () => {
+    const [merged] = mergeFavourites(current, [makeFavourite(curry)]);
+    expect(merged.notes).toBe("mine");
+  });
+});
+
+describe("allTags", () => {
+  it("lists every tag once, A–Z", () => {
+    const favourites = [makeFavourite(curry, { tags: ["quick", "asian"] }), makeFavourite(soup, { tags: ["quick"] }), makeFavourite(soup)];
+    expect(allTags(favourites)).toEqual(["asian", "quick"]);
+  });
+});
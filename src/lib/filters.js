@@ -0,0 +1,142 @@
+import { cookTimeOf } from "./cookTime";
+import { matchesOption } from "./cuisines";
+import { nutritionOf } from "./nutrition";
+import { ingredientWords } from "./pantry";
+import { extractIngredients } from "./recipe";
+import { DIETS, fitsDiet, flagForName, mealFlags } from "./taxonomy";
+
+// Pure, client-side filter predicates. They run on meals that are already
+// fetched, so changing a filter never goes back to the network.
+
+export const MEAL_TIME_OPTIONS = ["Breakfast", "Lunch", "Snack", "Dinner"];
+// Restrictions from ./taxonomy, then the older "kind of dish" options.
+// See matchesDiet for how ticked options combine.
+export const DIET_OPTIONS = [...Object.keys(DIETS), "Non-Veg", "Sea-food", "Drinks"];
+export const COOK_TIME_ANY = 180; // the slider's top value, meaning "any time"
+export const TIME_BASES = [
+  { id: "total", labelKey: "filters.time.total" },
+  { id: "active", labelKey: "filters.time.active" },
+];
+
+// Per-serving ranges, null for an open end
+export const NO_NUTRITION_LIMITS = { kcal: [null, null], protein: [null, null] };
+
+const DRINK = /drink|beverage|shake|smoothie|cocktail|juice/i;
+
+// Cuisine and category take option objects from ./cuisines
+export function matchesCuisine(meal, cuisines) {
+  return cuisines.length === 0 || cuisines.some((opt) => matchesOption(meal, opt));
+}
+
+export function matchesCategory(meal, categories) {
+  return categories.length === 0 || categories.some((opt) => matchesOption(meal, opt));
+}
+
+// cookTime: { minutes, basis } — basis "active" ignores oven, fridge and
+// resting time (prep still counts). Compares the low end of the range.
+export function matchesCookTime(meal, { minutes, basis }) {
+  if (minutes >= COOK_TIME_ANY) return true;
+  const t = cookTimeOf(meal);
+  return (basis === "active" ? t.prep + t.active[0] : t.total[0]) <= minutes;
+}
+
+function matchesDishKind(meal, d) {
+  const flags = mealFlags(meal);
+  const isDrink = DRINK.test(`${meal.strCategory || ""} ${meal.strMeal}`);
+  if (d === "Non-Veg") return !isDrink && !!(flags.meat || flags.fish || flags.shellfish);
+  if (d === "Sea-food") return !!(flags.fish || flags.shellfish) || /seafood/i.test(meal.strCategory || "");
+  if (d === "Drinks") return isDrink;
+  return true;
+}
+
+// Restrictions (Vegetarian, Vegan, ...) must all hold; the kinds of dish
+// (Non-Veg, Sea-food, Drinks) are alternatives, so any one of them will do.
+export function matchesDiet(meal, diet) {
+  const kinds = diet.filter((d) => !(d in DIETS));
+  return (
+    diet.every((d) => kinds.includes(d) || fitsDiet(meal, d)) &&
+    (kinds.length === 0 || kinds.some((d) => matchesDishKind(meal, d)))
+  );
+}
+
+// Excluded ingredients: "peanut" drops anything with "Peanut Butter" or
+// "Peanuts"; a group name like "nuts" or "dairy" drops the whole group.
+export function excludedBy(meal, name) {
+  const flag = flagForName(name);
+  if (flag && mealFlags(meal)[flag]) return true;
+  const words = ingredientWords(name);
+  return (
+    words.length > 0 &&
+    extractIngredients(meal).some(({ ingredient }) => {
+      const have = ingredientWords(ingredient);
+      return words.every((w) => have.includes(w));
+    })
+  );
+}
+
+export function matchesExclusions(meal, excluded) {
+  return !excluded.some((name) => excludedBy(meal, name));
+}
+
+// nutrition: { kcal: [min, max], protein: [min, max] } per serving (see
+// ./nutrition). With a limit set, meals without an estimate are left out.
+export function matchesNutrition(meal, nutrition) {
+  const limits = Object.entries(nutrition).filter(([, range]) => range[0] != null || range[1] != null);
+  if (limits.length === 0) return true;
+  const n = nutritionOf(meal);
+  if (!n) return false;
+  return limits.every(([key, [min, max]]) => (min == null || n.perServing[key] >= min) && (max == null || n.perServing[key] <= max));
+}
+
+// Meal time (best-effort: look for keywords)
+export function matchesMealTime(meal, mealTimes) {
+  if (mealTimes.length === 0) return true;
+  return mealTimes.some((t) => {
+    const re = new RegExp(t, "i");
+    return re.test(meal.strMeal || "") || re.test(meal.strTags || "");
+  });
+}
+
+// One predicate per filter section, keyed by the field it reads from `filters`
+const SECTIONS = {
+  cuisines: matchesCuisine,
+  categories: matchesCategory,
+  cookTime: matchesCookTime,
+  diet: matchesDiet,
+  mealTimes: matchesMealTime,
+  excluded: matchesExclusions,
+  nutrition: matchesNutrition,
+};
+
+// Sections whose ticked options don't simply add up (diet restrictions must
+// all hold), so an option's count is taken together with the ones already ticked
+const ALL_OF = new Set(["diet"]);
+
+// filters: { cuisines, categories, cookTime: { minutes, basis }, diet, mealTimes, excluded, nutrition }. `skip` leaves one section out.
+export function applyFilters(meals, filters, skip) {
+  return meals.filter((meal) =>
+    Object.entries(SECTIONS).every(([key, predicate]) => key === skip || predicate(meal, filters[key]))
+  );
+}
+
+// Counts for the filter aside. `matched` is the meals that pass every section.
+// Per section, `matched` is how many meals that section keeps on its own (shown
+// as "N of M recipes"), and `options` counts each option against the meals that
+// already pass every *other* section — i.e. what ticking it would give you.
+// options: { cuisines: [option], categories: [option], diet: [...], mealTimes: [...] }
+export function facetCounts(meals, filters, options) {
+  const sections = {};
+  for (const [key, predicate] of Object.entries(SECTIONS)) {
+    const base = applyFilters(meals, filters, key);
+    const byOption = {};
+    for (const opt of options[key] || []) {
+      const picked = ALL_OF.has(key) ? [...filters[key], opt] : [opt];
+      byOption[opt.label ?? opt] = base.filter((m) => predicate(m, picked)).length;
+    }
+    sections[key] = {
+      matched: meals.filter((m) => predicate(m, filters[key])).length,
+      options: byOption,
+    };
+  }
+  return { total: meals.length, matched: applyFilters(meals, filters).length, sections };
+}
@@ -0,0 +1,260 @@
+import { describe, expect, it } from "vitest";
+import { cookTimeOf } from "./cookTime";
+import {
+  applyFilters,
+  COOK_TIME_ANY,
+  excludedBy,
+  facetCounts,
+  matchesCategory,
+  matchesCookTime,
+  matchesCuisine,
+  matchesDiet,
+  matchesExclusions,
+  matchesMealTime,
+  matchesNutrition,
+  NO_NUTRITION_LIMITS,
+} from "./filters";
+import { nutritionOf } from "./nutrition";
+
+// A TheMealDB-shaped meal from [ingredient, measure] pairs
+function meal(id, name, { area, category, tags = "", ingredients, method }) {
+  const m = { idMeal: id, strMeal: name, strArea: area, strCategory: category, strTags: tags, strInstructions: method };
+  ingredients.forEach(([ingredient, measure], i) => {
+    m[`strIngredient${i + 1}`] = ingredient;
+    m[`strMeasure${i + 1}`] = measure;
+  });
+  return m;
+}
+
+const curry = meal("1", "Chicken Curry", {
+  area: "Indian",
+  category: "Chicken",
+  tags: "Curry,Dinner",
+  ingredients: [["Chicken Breast", "500g"], ["Onion", "1"], ["Garlic", "2 cloves"], ["Double Cream", "100ml"]],
+  method: "Fry the onion for 10 minutes.\nAdd the chicken and simmer for 30 minutes.",
+});
+const salad = meal("2", "Greek Salad", {
+  area: "Greek",
+  category: "Vegetarian",
+  tags: "Lunch",
+  ingredients: [["Tomatoes", "4"], ["Cucumber", "1"], ["Feta", "200g"], ["Olive Oil", "2 tbs"]],
+  method: "Chop the vegetables.\nToss with the oil and feta.",
+});
+const smoothie = meal("3", "Banana Smoothie", {
+  area: "American",
+  category: "Dessert",
+  tags: "Breakfast",
+  ingredients: [["Banana", "2"], ["Oat Milk", "300ml"]],
+  method: "Blend until smooth.",
+});
+const salmon = meal("4", "Baked Salmon", {
+  area: "British",
+  category: "Seafood",
+  tags: "Dinner",
+  ingredients: [["Salmon", "4 fillets"], ["Butter", "50g"], ["Lemon", "1"]],
+  method: "Bake the salmon for 25 minutes.",
+});
+const stew = meal("5", "Beef Stew", {
+  area: "British",
+  category: "Beef",
+  tags: "Dinner",
+  ingredients: [["Beef", "1kg"], ["Carrots", "3"], ["Peanuts", "50g"]],
+  method: "Brown the beef for 5 minutes.\nSimmer for 3 hours.",
+});
+const MEALS = [curry, salad, smoothie, salmon, stew];
+
+const indian = { label: "Indian", areas: ["Indian"] };
+const greek = { label: "Greek", areas: ["Greek"] };
+const british = { label: "British", areas: ["British"] };
+const seafood = { label: "Seafood", categories: ["Seafood"] };
+const dessert = { label: "Dessert", categories: ["Dessert"] };
+
+const NO_FILTERS = {
+  cuisines: [],
+  categories: [],
+  cookTime: { minutes: COOK_TIME_ANY, basis: "total" },
+  diet: [],
+  mealTimes: [],
+  excluded: [],
+  nutrition: NO_NUTRITION_LIMITS,
+};
+
+function ids(meals) {
+  return meals.map((m) => m.idMeal);
+}
+
+describe("cuisine and category", () => {
+  it("keeps everything when nothing is ticked", () => {
+    expect(matchesCuisine(curry, [])).toBe(true);
+    expect(matchesCategory(curry, [])).toBe(true);
+  });
+
+  it("matches any ticked option", () => {
+    expect(matchesCuisine(curry, [greek, indian])).toBe(true);
+    expect(matchesCuisine(curry, [greek])).toBe(false);
+    expect(matchesCategory(salmon, [seafood, dessert])).toBe(true);
+    expect(matchesCategory(stew, [seafood])).toBe(false);
+  });
+
+  it("matches sub-cuisines by tag or name keyword inside their area", () => {
+    const curries = { label: "Curries", areas: ["Indian"], tags: ["curry"], keywords: [] };
+    const stews = { label: "Stews", areas: ["British"], tags: [], keywords: ["stew"] };
+    expect(matchesCuisine(curry, [curries])).toBe(true);
+    expect(matchesCuisine(stew, [stews])).toBe(true);
+    expect(matchesCuisine(salmon, [stews])).toBe(false);
+  });
+});
+
+describe("cook time", () => {
+  it("lets every meal through at the slider's top value", () => {
+    expect(matchesCookTime(stew, { minutes: COOK_TIME_ANY, basis: "total" })).toBe(true);
+  });
+
+  it("compares the low end of the total time", () => {
+    const total = cookTimeOf(curry).total[0];
+    expect(matchesCookTime(curry, { minutes: total, basis: "total" })).toBe(true);
+    expect(matchesCookTime(curry, { minutes: total - 5, basis: "total" })).toBe(false);
+  });
+
+  it("ignores waiting time on the hands-on basis", () => {
+    expect(matchesCookTime(stew, { minutes: 60, basis: "total" })).toBe(false);
+    expect(matchesCookTime(stew, { minutes: 60, basis: "active" })).toBe(true);
+  });
+});
+
+describe("diet", () => {
+  it("requires every ticked option", () => {
+    expect(matchesDiet(salad, ["Vegetarian"])).toBe(true);
+    expect(matchesDiet(salad, ["Vegetarian", "Vegan"])).toBe(false);
+    expect(matchesDiet(smoothie, ["Vegetarian", "Vegan"])).toBe(true);
+  });
+
+  it("lets fish through for pescatarians but not vegetarians", () => {
+    expect(matchesDiet(salmon, ["Pescatarian"])).toBe(true);
+    expect(matchesDiet(salmon, ["Vegetarian"])).toBe(false);
+    expect(matchesDiet(curry, ["Pescatarian"])).toBe(false);
+  });
+
+  it("keeps the kind-of-dish options", () => {
+    expect(matchesDiet(curry, ["Non-Veg"])).toBe(true);
+    expect(matchesDiet(salad, ["Non-Veg"])).toBe(false);
+    expect(matchesDiet(salmon, ["Sea-food"])).toBe(true);
+    expect(matchesDiet(smoothie, ["Drinks"])).toBe(true);
+    expect(matchesDiet(curry, ["Drinks"])).toBe(false);
+  });
+
+  it("matches any ticked kind of dish, on top of every restriction", () => {
+    expect(matchesDiet(salmon, ["Sea-food", "Drinks"])).toBe(true);
+    expect(matchesDiet(smoothie, ["Sea-food", "Drinks"])).toBe(true);
+    expect(matchesDiet(curry, ["Sea-food", "Drinks"])).toBe(false);
+    expect(ids(MEALS.filter((m) => matchesDiet(m, ["Non-Veg", "Drinks"])))).toEqual(["1", "3", "4", "5"]);
+    expect(ids(MEALS.filter((m) => matchesDiet(m, ["Vegan", "Non-Veg", "Drinks"])))).toEqual(["3"]);
+    expect(ids(MEALS.filter((m) => matchesDiet(m, ["Pescatarian", "Non-Veg", "Drinks"])))).toEqual(["3", "4"]);
+  });
+});
+
+describe("meal time", () => {
+  it("looks for the meal time in the name and tags", () => {
+    expect(matchesMealTime(smoothie, ["Breakfast"])).toBe(true);
+    expect(matchesMealTime(smoothie, ["Lunch", "Dinner"])).toBe(false);
+    expect(matchesMealTime(stew, [])).toBe(true);
+  });
+});
+
+describe("exclusions", () => {
+  it("drops meals with the ingredient, matching whole words", () => {
+    expect(excludedBy(curry, "chicken")).toBe(true);
+    expect(excludedBy(curry, "chick")).toBe(false);
+    expect(excludedBy(stew, "peanut")).toBe(true);
+  });
+
+  it("drops a whole group by name", () => {
+    expect(excludedBy(stew, "nuts")).toBe(true);
+    expect(excludedBy(curry, "dairy")).toBe(true);
+    expect(excludedBy(smoothie, "dairy")).toBe(false);
+  });
+
+  it("keeps meals free of every excluded name", () => {
+    expect(matchesExclusions(salad, ["chicken", "nuts"])).toBe(true);
+    expect(matchesExclusions(stew, ["chicken", "nuts"])).toBe(false);
+  });
+});
+
+describe("nutrition", () => {
+  it("keeps everything without limits", () => {
+    expect(matchesNutrition(curry, NO_NUTRITION_LIMITS)).toBe(true);
+  });
+
+  it("checks both ends of a range, inclusive", () => {
+    const { kcal, protein } = nutritionOf(curry).perServing;
+    expect(matchesNutrition(curry, { kcal: [kcal, kcal], protein: [protein, null] })).toBe(true);
+    expect(matchesNutrition(curry, { kcal: [kcal + 1, null], protein: [null, null] })).toBe(false);
+    expect(matchesNutrition(curry, { kcal: [null, null], protein: [null, protein - 1] })).toBe(false);
+  });
+
+  it("leaves out meals without an estimate once a limit is set", () => {
+    const unknown = meal("9", "Mystery", { ingredients: [["Unobtainium", "1 cup"]], method: "" });
+    expect(nutritionOf(unknown)).toBe(null);
+    expect(matchesNutrition(unknown, NO_NUTRITION_LIMITS)).toBe(true);
+    expect(matchesNutrition(unknown, { kcal: [null, 5000], protein: [null, null] })).toBe(false);
+  });
+});
+
+describe("applyFilters", () => {
+  it("keeps every meal with no filters set", () => {
+    expect(ids(applyFilters(MEALS, NO_FILTERS))).toEqual(["1", "2", "3", "4", "5"]);
+  });
+
+  it("requires every section", () => {
+    const filters = { ...NO_FILTERS, cuisines: [british], mealTimes: ["Dinner"], excluded: ["beef"] };
+    expect(ids(applyFilters(MEALS, filters))).toEqual(["4"]);
+  });
+
+  it("can leave one section out", () => {
+    const filters = { ...NO_FILTERS, cuisines: [greek], diet: ["Non-Veg"] };
+    expect(ids(applyFilters(MEALS, filters))).toEqual([]);
+    expect(ids(applyFilters(MEALS, filters, "cuisines"))).toEqual(["1", "4", "5"]);
+    expect(ids(applyFilters(MEALS, filters, "diet"))).toEqual(["2"]);
+  });
+});
+
+describe("facetCounts", () => {
+  const options = { cuisines: [indian, greek, british], categories: [seafood, dessert], diet: ["Vegetarian", "Vegan", "Non-Veg"], mealTimes: ["Breakfast", "Dinner"] };
+
+  it("counts every option against all meals with no filters set", () => {
+    const counts = facetCounts(MEALS, NO_FILTERS, options);
+    expect(counts.total).toBe(5);
+    expect(counts.matched).toBe(5);
+    expect(counts.sections.cuisines.options).toEqual({ Indian: 1, Greek: 1, British: 2 });
+    expect(counts.sections.diet.options).toEqual({ Vegetarian: 2, Vegan: 1, "Non-Veg": 3 });
+    expect(counts.sections.mealTimes.options).toEqual({ Breakfast: 1, Dinner: 3 });
+  });
+
+  it("counts a section's options against the other sections only", () => {
+    const filters = { ...NO_FILTERS, cuisines: [british], mealTimes: ["Breakfast"] };
+    const counts = facetCounts(MEALS, filters, options);
+    expect(counts.matched).toBe(0);
+    // Cuisines are counted against the breakfast meals, whatever cuisine is ticked
+    expect(counts.sections.cuisines.options).toEqual({ Indian: 0, Greek: 0, British: 0 });
+    expect(counts.sections.mealTimes.options).toEqual({ Breakfast: 0, Dinner: 2 });
+    // What each section keeps on its own
+    expect(counts.sections.cuisines.matched).toBe(2);
+    expect(counts.sections.mealTimes.matched).toBe(1);
+  });
+
+  it("counts diet options together with the diets already ticked", () => {
+    const filters = { ...NO_FILTERS, diet: ["Vegetarian"] };
+    const counts = facetCounts(MEALS, filters, options);
+    expect(counts.matched).toBe(2);
+    expect(counts.sections.diet.options).toEqual({ Vegetarian: 2, Vegan: 1, "Non-Veg": 0 });
+    expect(counts.sections.cuisines.options).toEqual({ Indian: 0, Greek: 1, British: 0 });
+  });
+
+  it("applies exclusions and nutrition to the other sections' counts", () => {
+    const filters = { ...NO_FILTERS, excluded: ["nuts"] };
+    const counts = facetCounts(MEALS, filters, options);
+    expect(counts.matched).toBe(4);
+    expect(counts.sections.cuisines.options.British).toBe(1);
+    expect(counts.sections.excluded.matched).toBe(4);
+  });
+});
@@ -0,0 +1,113 @@
+import { singular } from "./pantry";
+
+// Fuzzy ranking for the ingredient autosuggest. Matches are tiered, best first:
+//   0 exact, or ½ when only plurals differ ("tomatos" → "Tomatoes")
+//   1 prefix · 2 word prefix ("bre" → "Chicken Breast") · 3 substring
+//   4 the same words once plurals are ignored ("onions red" → "Red Onions")
+//   5 within a small edit distance per word ("chiken" → "Chicken")
+// then shorter names, then A–Z. Each result carries the [start, end) ranges
+// of the name that matched, for highlighting. With `whole`, only tiers 0, 4
+// and 5 count and every word of the name must be matched, so a fragment
+// ("ric", "pe") never stands in for a name.
+
+// Optimal string alignment distance: insertions, deletions, substitutions and
+// swaps of neighbouring letters each cost 1
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function allowedTypos(word) {
+  if (word.length <= 3) return 0;
+  return word.length <= 5 ? 1 : 2;
+}
+
+// Words of a lower-cased name with their positions
+function wordsOf(lower) {
+  return [...lower.matchAll(/[a-z]+/g)].map((m) => ({ word: m[0], stem: singular(m[0]), start: m.index, end: m.index + m[0].length }));
+}
+
+function matchName(q, qWords, name, whole) {
+  const lower = name.toLowerCase();
+  if (lower === q) return { tier: 0, ranges: [[0, name.length]] };
+  const words = wordsOf(lower);
+  const stems = (list) => list.map((w) => w.stem).join(" ");
+  if (qWords.length && stems(words) === stems(qWords)) return { tier: 0.5, ranges: [[0, name.length]] };
+  if (!whole) {
+    if (lower.startsWith(q)) return { tier: 1, ranges: [[0, q.length]] };
+    const wordHit = words.find((w) => lower.startsWith(q, w.start));
+    if (wordHit) return { tier: 2, ranges: [[wordHit.start, wordHit.start + q.length]] };
+    const at = lower.indexOf(q);
+    if (at !== -1) return { tier: 3, ranges: [[at, at + q.length]] };
+  }
+  if (qWords.length === 0 || (whole && qWords.length !== words.length)) return null;
+
+  // Word by word: same stem (tier 4), or close enough to a word or its start (tier 5)
+  let tier = 4;
+  let typos = 0;
+  const ranges = [];
+  for (const qw of qWords) {
+    const same = words.find((w) => w.stem === qw.stem);
+    if (same) {
+      ranges.push([same.start, same.end]);
+      continue;
+    }
+    let best = null;
+    for (const w of words) {
+      const dist = whole
+        ? editDistance(qw.stem, w.stem)
+        : Math.min(editDistance(qw.stem, w.stem), editDistance(qw.word, w.word.slice(0, qw.word.length)));
+      if (!best || dist < best.dist) best = { w, dist };
+    }
+    if (!best || best.dist > allowedTypos(qw.word)) return null;
+    tier = 5;
+    typos += best.dist;
+    ranges.push([best.w.start, best.w.end]);
+  }
+  return { tier: tier + typos / 10, ranges: ranges.sort((a, b) => a[0] - b[0]) };
+}
+
+// -> [{ name, tier, ranges }] best first. `exclude` names are left out.
+export function rankSuggestions(query, names, { limit = 10, exclude = [], whole = false } = {}) {
+  const q = (query || "").trim().toLowerCase();
+  if (!q) return [];
+  const qWords = wordsOf(q);
+  const skip = new Set(exclude.map((x) => x.toLowerCase()));
+  const found = [];
+  for (const name of names) {
+    if (skip.has(name.toLowerCase())) continue;
+    const m = matchName(q, qWords, name, whole);
+    if (m) found.push({ name, ...m });
+  }
+  return found
+    .sort((a, b) => a.tier - b.tier || a.name.length - b.name.length || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+// The known name closest to what was typed — the same name, or one with a few
+// typos — or null if nothing is close
+export function closestName(text, names) {
+  return rankSuggestions(text, names, { limit: 1, whole: true })[0]?.name || null;
+}
+
+// Splits `text` into [{ text, match }] pieces for highlighting
+export function highlightParts(text, ranges) {
+  const parts = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (start < pos) continue;
+    if (start > pos) parts.push({ text: text.slice(pos, start), match: false });
+    parts.push({ text: text.slice(start, end), match: true });
+    pos = end;
+  }
+  if (pos < text.length) parts.push({ text: text.slice(pos), match: false });
+  return parts;
+}
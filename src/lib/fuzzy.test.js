@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { closestName, highlightParts, rankSuggestions } from "./fuzzy";
+
+const NAMES = ["Apple", "Peas", "Sugar", "Rice", "Chicken", "Chicken Breast", "Red Onions", "Tomatoes", "Brown Sugar"];
+
+describe("rankSuggestions", () => {
+  it("ranks exact, prefix, word prefix and substring matches in that order", () => {
+    expect(rankSuggestions("sugar", NAMES).map((x) => x.name)).toEqual(["Sugar", "Brown Sugar"]);
+    expect(rankSuggestions("chick", NAMES).map((x) => x.name)).toEqual(["Chicken", "Chicken Breast"]);
+    expect(rankSuggestions("bre", NAMES)[0]).toMatchObject({ name: "Chicken Breast", ranges: [[8, 11]] });
+  });
+
+  it("suggests names for fragments and typos", () => {
+    expect(rankSuggestions("ric", NAMES)[0].name).toBe("Rice");
+    expect(rankSuggestions("chiken", NAMES)[0].name).toBe("Chicken");
+  });
+
+  it("leaves out excluded names", () => {
+    expect(rankSuggestions("chicken", NAMES, { exclude: ["chicken"] }).map((x) => x.name)).toEqual(["Chicken Breast"]);
+  });
+});
+
+describe("closestName", () => {
+  it("accepts the same name, plurals and word order aside", () => {
+    expect(closestName("rice", NAMES)).toBe("Rice");
+    expect(closestName("tomatos", NAMES)).toBe("Tomatoes");
+    expect(closestName("onions red", NAMES)).toBe("Red Onions");
+  });
+
+  it("corrects typos in whole words", () => {
+    expect(closestName("chiken", NAMES)).toBe("Chicken");
+    expect(closestName("chicken brest", NAMES)).toBe("Chicken Breast");
+  });
+
+  it("doesn't complete a fragment or part of a name", () => {
+    expect(closestName("a", NAMES)).toBe(null);
+    expect(closestName("pe", NAMES)).toBe(null);
+    expect(closestName("s", NAMES)).toBe(null);
+    expect(closestName("ric", NAMES)).toBe(null);
+    expect(closestName("breast", NAMES)).toBe(null);
+    expect(closestName("unobtainium", NAMES)).toBe(null);
+  });
+});
+
+describe("highlightParts", () => {
+  it("splits text around the matched ranges", () => {
+    expect(highlightParts("Chicken Breast", [[8, 11]])).toEqual([
+      { text: "Chicken ", match: false },
+      { text: "Bre", match: true },
+      { text: "ast", match: false },
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+import en from "../data/i18n/en.json";
+import es from "../data/i18n/es.json";
+import esIngredients from "../data/i18n/ingredients.es.json";
+
+// UI text. Messages live in data/i18n/<locale>.json under flat keys
+// ("filters.title"). A message is a string with {placeholders}, or — when it
+// depends on a number — an object keyed by Intl.PluralRules category:
+//   "results.failed": { "one": "{count} recipe could not be loaded.", "other": "..." }
+// Anything missing from a catalog falls back to English, then to the key.
+//
+// The active locale is module state, like the signed-in profile in
+// ./profiles: the app activates the profile's locale while rendering, so
+// components and lib helpers (formatMinutes, validation messages) can call
+// t() directly. Exported files and print views are labelled in it too; the
+// recipe data itself stays as the source wrote it.
+
+export const LOCALE_KEY = "locale"; // per profile, see ./profiles
+
+// `units` is the measurement system a locale starts with (see UNIT_SYSTEMS in ./measures)
+export const LOCALES = [
+  { id: "en", label: "English", units: "original" },
+  { id: "es", label: "Español", units: "metric" },
+];
+
+const CATALOGS = { en, es };
+
+// Ingredient names as shown in chips and suggestions. Searches, URLs and
+// storage keep TheMealDB's English names.
+const GLOSSARIES = { es: esIngredients };
+
+let current = "en";
+const pluralRules = new Map();
+const glossaries = new Map();
+
+export function activateLocale(id) {
+  current = CATALOGS[id] ? id : "en";
+}
+
+export function currentLocale() {
+  return current;
+}
+
+export function localeInfo(id = current) {
+  return LOCALES.find((l) => l.id === id) || LOCALES[0];
+}
+
+// The first of the browser's languages we have a catalog for
+export function detectLocale() {
+  const wanted = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+  for (const tag of wanted) {
+    const base = (tag || "").toLowerCase().split("-")[0];
+    if (CATALOGS[base]) return base;
+  }
+  return "en";
+}
+
+function plural(count) {
+  if (!pluralRules.has(current)) pluralRules.set(current, new Intl.PluralRules(current));
+  return pluralRules.get(current).select(count);
+}
+
+export function t(key, params = {}) {
+  let message = CATALOGS[current][key] ?? en[key] ?? key;
+  if (typeof message === "object") message = message[plural(params.count ?? 0)] ?? message.other;
+  return message.replace(/\{(\w+)\}/g, (whole, name) => (params[name] != null ? String(params[name]) : whole));
+}
+
+// "Chicken Breast" -> "Pechuga de pollo" in the active (or given) locale, or the name as is
+export function ingredientLabel(name, locale = current) {
+  const glossary = GLOSSARIES[locale];
+  if (!glossary) return name;
+  if (!glossaries.has(locale)) {
+    glossaries.set(locale, new Map(Object.entries(glossary).map(([k, v]) => [k.toLowerCase(), v])));
+  }
+  return glossaries.get(locale).get(name.toLowerCase()) || name;
+}
@@ -0,0 +1,194 @@
+// Measure parsing, scaling and unit conversion for TheMealDB's free-text
+// `strMeasure` values ("1 1/2 cups", "200g", "2 tbs", "½ tsp", "2-3 cloves").
+// Anything the parser doesn't understand ("to taste", "Juice of 1") is shown
+// exactly as written.
+//
+// "Imperial" here means US customary kitchen units (cups, oz, lb), which is
+// what most TheMealDB recipes outside the UK use.
+
+export const UNIT_SYSTEMS = [
+  { id: "original", labelKey: "units.original" },
+  { id: "metric", labelKey: "units.metric" },
+  { id: "imperial", labelKey: "units.imperial" },
+];
+
+const UNICODE_FRACTIONS = {
+  "½": "1/2", "⅓": "1/3", "⅔": "2/3", "¼": "1/4", "¾": "3/4", "⅕": "1/5",
+  "⅙": "1/6", "⅚": "5/6", "⅛": "1/8", "⅜": "3/8", "⅝": "5/8", "⅞": "7/8",
+};
+
+// kind: "mass" and "volume" units convert through a base unit (g / ml);
+// "count" units (cloves, cans, …) only scale.
+const UNITS = {
+  g: { kind: "mass", base: 1, names: ["g", "gr", "gram", "grams", "gramme", "grammes"] },
+  kg: { kind: "mass", base: 1000, names: ["kg", "kgs", "kilo", "kilos", "kilogram", "kilograms"] },
+  oz: { kind: "mass", base: 28.3495, names: ["oz", "ounce", "ounces"] },
+  lb: { kind: "mass", base: 453.592, names: ["lb", "lbs", "pound", "pounds"] },
+  ml: { kind: "volume", base: 1, names: ["ml", "millilitre", "millilitres", "milliliter", "milliliters"] },
+  cl: { kind: "volume", base: 10, names: ["cl", "centilitre", "centilitres"] },
+  l: { kind: "volume", base: 1000, names: ["l", "ltr", "litre", "litres", "liter", "liters"] },
+  tsp: { kind: "volume", base: 4.92892, spoon: true, names: ["tsp", "tsps", "tspn", "teaspoon", "teaspoons"] },
+  tbsp: {
+    kind: "volume", base: 14.7868, spoon: true,
+    names: ["tbsp", "tbsps", "tbs", "tbl", "tbls", "tblsp", "tblspn", "tablespoon", "tablespoons"],
+  },
+  "fl oz": { kind: "volume", base: 29.5735, names: ["fl oz", "fl. oz", "fluid ounce", "fluid ounces"] },
+  cup: { kind: "volume", base: 240, plural: "cups", names: ["cup", "cups"] },
+  pint: { kind: "volume", base: 473.176, plural: "pints", names: ["pint", "pints", "pt"] },
+  quart: { kind: "volume", base: 946.353, plural: "quarts", names: ["quart", "quarts", "qt"] },
+};
+
+const COUNT_UNITS = {
+  clove: "cloves", can: "cans", tin: "tins", slice: "slices", piece: "pieces", pinch: "pinches",
+  dash: "dashes", sprig: "sprigs", bunch: "bunches", handful: "handfuls", stick: "sticks",
+  leaf: "leaves", sheet: "sheets", head: "heads", packet: "packets", pack: "packs", jar: "jars",
+  bottle: "bottles", stalk: "stalks", fillet: "fillets", bag: "bags", drop: "drops",
+};
+for (const [single, plural] of Object.entries(COUNT_UNITS)) {
+  UNITS[single] = { kind: "count", plural, names: [single, plural] };
+}
+
+// alias -> canonical unit, longest aliases first so "fl oz" wins over "fl"
+const ALIASES = Object.entries(UNITS)
+  .flatMap(([unit, def]) => def.names.map((name) => [name, unit]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+const QTY = String.raw`\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?`;
+const MEASURE_RE = new RegExp(String.raw`^\s*(${QTY})(?:\s*(?:-|–|to)\s*(${QTY}))?\s*(.*)$`, "i");
+
+function parseQty(text) {
+  const t = text.trim().replace(",", ".");
+  const mixed = t.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const frac = t.match(/^(\d+)\/(\d+)$/);
+  if (frac) return Number(frac[2]) ? Number(frac[1]) / Number(frac[2]) : NaN;
+  return Number(t);
+}
+
+function matchUnit(rest) {
+  const lower = rest.toLowerCase();
+  for (const [alias, unit] of ALIASES) {
+    if (!lower.startsWith(alias)) continue;
+    const after = rest.slice(alias.length);
+    if (after && /^[a-z]/i.test(after)) continue; // "l" must not match "large"
+    return { unit, rest: after.replace(/^\.?\s*/, "") };
+  }
+  return { unit: null, rest };
+}
+
+// -> { qty, qtyMax, unit, rest, original } or null when the text isn't a quantity
+export function parseMeasure(text) {
+  const original = (text || "").trim();
+  if (!original) return null;
+  const normalized = original.replace(/(\d)?([½⅓⅔¼¾⅕⅙⅚⅛⅜⅝⅞])/g, (_, whole, f) =>
+    `${whole ? `${whole} ` : ""}${UNICODE_FRACTIONS[f]}`
+  );
+  const m = normalized.match(MEASURE_RE);
+  if (!m) return null;
+  const qty = parseQty(m[1]);
+  const qtyMax = m[2] ? parseQty(m[2]) : null;
+  if (!Number.isFinite(qty) || qty <= 0 || (qtyMax != null && !Number.isFinite(qtyMax))) return null;
+  const { unit, rest } = matchUnit(m[3].trim());
+  return { qty, qtyMax, unit, rest, original };
+}
+
+export function scaleMeasure(parsed, factor) {
+  return {
+    ...parsed,
+    qty: parsed.qty * factor,
+    qtyMax: parsed.qtyMax == null ? null : parsed.qtyMax * factor,
+  };
+}
+
+// Picks a sensible unit in the target system for an amount of the base unit
+function pickUnit(kind, baseAmount, system) {
+  if (kind === "mass") {
+    if (system === "metric") return baseAmount >= 1000 ? "kg" : "g";
+    return baseAmount >= UNITS.lb.base ? "lb" : "oz";
+  }
+  if (system === "metric") return baseAmount >= 1000 ? "l" : "ml";
+  if (baseAmount < UNITS.tbsp.base) return "tsp";
+  if (baseAmount < UNITS.cup.base / 2) return "tbsp"; // "6¾ tbsp" reads better than "0.42 cup"
+  return "cup";
+}
+
+const METRIC_UNITS = new Set(["g", "kg", "ml", "cl", "l"]);
+
+// -> { kind: "mass" | "volume" | "count", base, ... } or null for unknown units
+export function unitInfo(unit) {
+  return UNITS[unit] || null;
+}
+
+// Builds a measure from an amount in the base unit (g or ml), in whichever unit
+// of `system` reads best. "original" falls back to metric.
+export function fromBase(kind, amount, system) {
+  const unit = pickUnit(kind, amount, system === "imperial" ? "imperial" : "metric");
+  return { qty: amount / UNITS[unit].base, qtyMax: null, unit, rest: "" };
+}
+
+// Converts mass/volume measures to the other system. Spoon measures are left
+// alone because both systems cook with them; count units never convert.
+export function convertMeasure(parsed, system) {
+  const def = UNITS[parsed.unit];
+  if (!def || def.kind === "count" || def.spoon || system === "original") return parsed;
+  if ((system === "metric") === METRIC_UNITS.has(parsed.unit)) return parsed;
+  const target = pickUnit(def.kind, parsed.qty * def.base, system);
+  const ratio = def.base / UNITS[target].base;
+  return {
+    ...parsed,
+    unit: target,
+    qty: parsed.qty * ratio,
+    qtyMax: parsed.qtyMax == null ? null : parsed.qtyMax * ratio,
+  };
+}
+
+const NICE_FRACTIONS = [
+  [0, ""], [1 / 8, "⅛"], [1 / 4, "¼"], [1 / 3, "⅓"], [1 / 2, "½"], [2 / 3, "⅔"], [3 / 4, "¾"], [1, ""],
+];
+
+// Amounts too small to round ("⅛ tsp" scaled down to a quarter) keep one
+// significant digit instead of showing as 0
+export function formatQty(n, unit) {
+  const text = roundQty(n, unit);
+  return text === "0" && n > 0 ? String(Number(n.toPrecision(1))) : text;
+}
+
+function roundQty(n, unit) {
+  if (METRIC_UNITS.has(unit)) {
+    if (n >= 100) return String(Math.round(n / 5) * 5);
+    if (n >= 10) return String(Math.round(n));
+    return String(Math.round(n * 10) / 10);
+  }
+  if (n >= 2) n = Math.round(n * 4) / 4; // nobody measures 7.05 oz
+  const whole = Math.floor(n);
+  const [value, glyph] = NICE_FRACTIONS.reduce((best, f) =>
+    Math.abs(n - whole - f[0]) < Math.abs(n - whole - best[0]) ? f : best
+  );
+  if (Math.abs(n - whole - value) > 0.05) return String(Math.round(n * 100) / 100);
+  const w = whole + (value === 1 ? 1 : 0);
+  if (!glyph) return String(w);
+  return w ? `${w} ${glyph}` : glyph;
+}
+
+export function formatMeasure(parsed) {
+  const { qty, qtyMax, unit, rest } = parsed;
+  const amount = qtyMax != null ? `${formatQty(qty, unit)}–${formatQty(qtyMax, unit)}` : formatQty(qty, unit);
+  let unitText = "";
+  if (unit) {
+    const def = UNITS[unit];
+    const plural = def.plural && (qtyMax ?? qty) > 1;
+    unitText = METRIC_UNITS.has(unit) ? (unit === "l" ? "L" : unit) : ` ${plural ? def.plural : unit}`;
+  }
+  return `${amount}${unitText}${rest ? ` ${rest}` : ""}`;
+}
+
+// The string the UI shows for a raw strMeasure. Falls back to the original
+// text when it can't be parsed, or when nothing about it would change.
+export function displayMeasure(measure, { factor = 1, system = "original" } = {}) {
+  const parsed = parseMeasure(measure);
+  if (!parsed) return (measure || "").trim();
+  const scaled = factor === 1 ? parsed : scaleMeasure(parsed, factor);
+  const converted = convertMeasure(scaled, system);
+  if (converted === parsed) return parsed.original;
+  return formatMeasure(converted);
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { displayMeasure, formatQty, parseMeasure } from "./measures";
+
+describe("parseMeasure", () => {
+  it("reads mixed numbers, unicode fractions and ranges", () => {
+    expect(parseMeasure("1 1/2 cups")).toMatchObject({ qty: 1.5, unit: "cup" });
+    expect(parseMeasure("½ tsp")).toMatchObject({ qty: 0.5, unit: "tsp" });
+    expect(parseMeasure("2-3 cloves")).toMatchObject({ qty: 2, qtyMax: 3, unit: "clove" });
+  });
+
+  it("gives up on text that isn't a quantity", () => {
+    expect(parseMeasure("to taste")).toBe(null);
+    expect(parseMeasure("Juice of 1")).toBe(null);
+  });
+});
+
+describe("formatQty", () => {
+  it("uses kitchen fractions", () => {
+    expect(formatQty(0.5, "cup")).toBe("½");
+    expect(formatQty(1.25, "cup")).toBe("1 ¼");
+    expect(formatQty(0.125, "tsp")).toBe("⅛");
+  });
+
+  it("never rounds a small amount down to 0", () => {
+    expect(formatQty(1 / 32, "tsp")).toBe("0.03");
+    expect(formatQty(0.04, "g")).toBe("0.04");
+  });
+});
+
+describe("displayMeasure", () => {
+  it("scales below the smallest fraction without showing 0", () => {
+    expect(displayMeasure("1/8 tsp", { factor: 0.25 })).toBe("0.03 tsp");
+  });
+
+  it("uses tablespoons up to half a cup", () => {
+    expect(displayMeasure("100ml", { system: "imperial" })).toBe("6 ¾ tbsp");
+    expect(displayMeasure("150ml", { system: "imperial" })).toBe("⅔ cup");
+  });
+
+  it("converts between systems and leaves spoons alone", () => {
+    expect(displayMeasure("1 lb", { system: "metric" })).toBe("455g");
+    expect(displayMeasure("2 tbs", { system: "metric" })).toBe("2 tbs");
+    expect(displayMeasure("to taste", { factor: 2 })).toBe("to taste");
+  });
+});
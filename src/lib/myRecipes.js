@@ -0,0 +1,119 @@
+import { t } from "./i18n";
+
+// The user's own recipes, kept in browser storage in TheMealDB's lookup shape
+// (strMeal, strIngredient1..20, strMeasure1..20, ...) so everything that reads
+// meals — extractIngredients, cook time, filters, favourites — works unchanged.
+// ../api.js answers searches and lookups for them next to the data source.
+
+export const MY_RECIPES_KEY = "my-recipes";
+export const MAX_INGREDIENTS = 20;
+export const PLACEHOLDER_IMAGE = "/meal-placeholder.svg";
+const ID_PREFIX = "my-";
+
+export function isOwnRecipe(mealOrId) {
+  const id = typeof mealOrId === "object" ? mealOrId?.idMeal : mealOrId;
+  return String(id ?? "").startsWith(ID_PREFIX);
+}
+
+function newId() {
+  return `${ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ----------------------------- Editor form -----------------------------
+// The editor works on a flatter shape: { strMeal, ..., ingredients: [{ ingredient, measure }] }
+
+export function emptyForm() {
+  return { strMeal: "", strCategory: "", strArea: "", strMealThumb: "", strTags: "", strInstructions: "", ingredients: [{ ingredient: "", measure: "" }] };
+}
+
+export function formFromMeal(meal) {
+  const ingredients = [];
+  for (let i = 1; i <= MAX_INGREDIENTS; i++) {
+    const ingredient = (meal[`strIngredient${i}`] || "").trim();
+    if (ingredient) ingredients.push({ ingredient, measure: (meal[`strMeasure${i}`] || "").trim() });
+  }
+  return {
+    strMeal: meal.strMeal || "",
+    strCategory: meal.strCategory || "",
+    strArea: meal.strArea || "",
+    strMealThumb: meal.strMealThumb === PLACEHOLDER_IMAGE ? "" : meal.strMealThumb || "",
+    strTags: meal.strTags || "",
+    strInstructions: meal.strInstructions || "",
+    ingredients: ingredients.length ? ingredients : emptyForm().ingredients,
+  };
+}
+
+// -> list of problems, empty when the form can be saved
+export function validateForm(form) {
+  const errors = [];
+  if (!form.strMeal.trim()) errors.push(t("editor.error.name"));
+  const filled = form.ingredients.filter((x) => x.ingredient.trim());
+  if (filled.length === 0) errors.push(t("editor.error.noIngredients"));
+  if (filled.length > MAX_INGREDIENTS) errors.push(t("editor.error.tooMany", { max: MAX_INGREDIENTS }));
+  if (form.ingredients.some((x) => !x.ingredient.trim() && x.measure.trim())) errors.push(t("editor.error.measureWithoutIngredient"));
+  if (!form.strInstructions.trim()) errors.push(t("editor.error.method"));
+  return errors;
+}
+
+// Builds the stored meal. `base` is the recipe being edited (keeps its id) or
+// a fork/new draft from newDraft().
+export function mealFromForm(form, base = {}) {
+  const meal = {
+    idMeal: base.idMeal || newId(),
+    strMeal: form.strMeal.trim(),
+    strCategory: form.strCategory.trim() || null,
+    strArea: form.strArea.trim() || null,
+    strInstructions: form.strInstructions.trim(),
+    strMealThumb: form.strMealThumb.trim() || PLACEHOLDER_IMAGE,
+    strTags: form.strTags.trim() || null,
+    strYoutube: base.strYoutube || "",
+    strSource: base.strSource || "",
+    forkedFrom: base.forkedFrom || null,
+    dateModified: new Date().toISOString(),
+  };
+  const filled = form.ingredients.filter((x) => x.ingredient.trim()).slice(0, MAX_INGREDIENTS);
+  for (let i = 1; i <= MAX_INGREDIENTS; i++) {
+    meal[`strIngredient${i}`] = filled[i - 1]?.ingredient.trim() || "";
+    meal[`strMeasure${i}`] = filled[i - 1]?.measure.trim() || "";
+  }
+  return meal;
+}
+
+// A new recipe, or an editable copy of any meal ("make my version")
+export function newDraft(from = null) {
+  if (!from) return { idMeal: newId() };
+  return {
+    ...from,
+    idMeal: newId(),
+    forkedFrom: isOwnRecipe(from) ? from.forkedFrom || null : { idMeal: String(from.idMeal), strMeal: from.strMeal },
+  };
+}
+
+export function saveRecipe(list, meal) {
+  return list.some((m) => m.idMeal === meal.idMeal) ? list.map((m) => (m.idMeal === meal.idMeal ? meal : m)) : [...list, meal];
+}
+
+// ----------------------------- Images -----------------------------
+// Uploaded pictures are stored inline, so they're scaled down and re-encoded
+// as JPEG to keep well inside the storage quota.
+export function readImageFile(file, maxSize = 640) {
+  return new Promise((resolve, reject) => {
+    if (!file.type.startsWith("image/")) return reject(new Error(t("editor.error.notAnImage")));
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL("image/jpeg", 0.8));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(t("editor.error.unreadableImage")));
+    };
+    img.src = url;
+  });
+}
@@ -0,0 +1,101 @@
+import table from "../data/nutrition.json";
+import { parseMeasure, unitInfo } from "./measures";
+import { singular } from "./pantry";
+import { DEFAULT_SERVINGS, extractIngredients } from "./recipe";
+
+// Rough nutrition estimates from the bundled table in data/nutrition.json.
+// Each ingredient is matched to a food (exact name, alias, or the name's last
+// words: "free range chicken breast" → chicken breast), its measure turned into
+// grams, and the per-100 g values added up. Ingredients that can't be matched
+// or measured are left out and lower the confidence.
+
+const MINOR = new Set(table.minor);
+const NOT_AN_AMOUNT = /taste|garnish|serv|season|sprinkl|drizzle|frying|grease|dust|optional/i;
+const TRAILING = new Set(["fillet", "fillets", "piece", "pieces", "chunks", "strips", "cubes", "slices", "leaves", "cloves"]);
+const SIZE = { small: 0.7, medium: 1, large: 1.3 };
+
+const foodCache = new Map();
+
+function lookup(name) {
+  const key = table.aliases[name] || name;
+  return table.foods[key] ? { name: key, ...table.foods[key] } : null;
+}
+
+// -> { name, per100g, d?, each?, juice? } or null
+export function foodFor(ingredient) {
+  const lower = ingredient.toLowerCase().trim();
+  if (foodCache.has(lower)) return foodCache.get(lower);
+  let words = lower.split(/[^a-zà-ÿ-]+/).filter(Boolean);
+  while (words.length > 1 && TRAILING.has(words[words.length - 1])) words = words.slice(0, -1);
+
+  // The whole name, then shorter and shorter endings, each as written and singular
+  let food = lookup(lower);
+  for (let start = 0; !food && start < words.length; start++) {
+    const tail = words.slice(start);
+    food = lookup(tail.join(" ")) || lookup(tail.map(singular).join(" "));
+  }
+  foodCache.set(lower, food);
+  return food;
+}
+
+// Grams of `food` in a strMeasure, 0 for seasoning "to taste", null if unknown
+function gramsOf(food, measure) {
+  const text = (measure || "").trim();
+  if (!text || NOT_AN_AMOUNT.test(text)) return MINOR.has(food.name) ? 0 : null;
+  const juice = text.match(/^juice of\s*(.*)$/i);
+  if (juice && food.juice) return (parseMeasure(juice[1])?.qty || 1) * food.juice;
+  if (/^zest of/i.test(text)) return 2;
+
+  const parsed = parseMeasure(text);
+  if (!parsed) return MINOR.has(food.name) ? 0 : null;
+  const qty = parsed.qtyMax != null ? (parsed.qty + parsed.qtyMax) / 2 : parsed.qty;
+  const unit = unitInfo(parsed.unit);
+  if (unit?.kind === "mass") return qty * unit.base;
+  if (unit?.kind === "volume") return qty * unit.base * (food.d ?? 1);
+  if (unit?.kind === "count") return qty * (table.unitGrams[parsed.unit] ?? food.each ?? 0);
+  if (!food.each) return null;
+  const size = Object.keys(SIZE).find((s) => parsed.rest.toLowerCase().includes(s));
+  return qty * food.each * (size ? SIZE[size] : 1);
+}
+
+function round(values) {
+  return { kcal: Math.round(values[0]), protein: Math.round(values[1]), carbs: Math.round(values[2]), fat: Math.round(values[3]) };
+}
+
+// -> { total, perServing: { kcal, protein, carbs, fat }, servings,
+//      confidence: { level: "high" | "medium" | "low", counted, of, missing: [name] },
+//      items: [{ ingredient, food, grams }] } — or null when nothing could be counted
+export function estimateNutrition(meal) {
+  const ingredients = extractIngredients(meal);
+  const sum = [0, 0, 0, 0];
+  const items = [];
+  const missing = [];
+  for (const { ingredient, measure } of ingredients) {
+    const food = foodFor(ingredient);
+    const grams = food ? gramsOf(food, measure) : null;
+    if (grams == null) {
+      missing.push(ingredient);
+      continue;
+    }
+    food.per100g.forEach((v, i) => (sum[i] += (v * grams) / 100));
+    items.push({ ingredient, food: food.name, grams: Math.round(grams) });
+  }
+  if (!items.some((x) => x.grams > 0)) return null;
+
+  const share = items.length / ingredients.length;
+  return {
+    total: round(sum),
+    perServing: round(sum.map((v) => v / DEFAULT_SERVINGS)),
+    servings: DEFAULT_SERVINGS,
+    confidence: { level: share >= 0.9 ? "high" : share >= 0.7 ? "medium" : "low", counted: items.length, of: ingredients.length, missing },
+    items,
+  };
+}
+
+const cache = new WeakMap();
+
+export function nutritionOf(meal) {
+  if (!meal) return null;
+  if (!cache.has(meal)) cache.set(meal, estimateNutrition(meal));
+  return cache.get(meal);
+}
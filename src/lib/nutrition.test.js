@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { estimateNutrition, foodFor, nutritionOf } from "./nutrition";
+
+// A meal from [ingredient, measure] pairs
+function meal(...ingredients) {
+  const m = {};
+  ingredients.forEach(([ingredient, measure], i) => {
+    m[`strIngredient${i + 1}`] = ingredient;
+    m[`strMeasure${i + 1}`] = measure;
+  });
+  return m;
+}
+
+describe("foodFor", () => {
+  it.each([
+    ["Chicken Breasts", "chicken breast"],
+    ["free range chicken breast", "chicken breast"],
+    ["Salmon Fillets", "salmon"],
+    ["Garlic Cloves", "garlic"],
+    ["King Prawns", "prawn"],
+    ["Red Onions", "red onion"],
+    ["Plain Flour", "flour"],
+    ["Unobtainium", undefined],
+  ])("%j -> %j", (ingredient, food) => {
+    expect(foodFor(ingredient)?.name).toBe(food);
+  });
+});
+
+describe("estimateNutrition", () => {
+  it.each([
+    ["Butter", "50g", 50],
+    ["Milk", "300ml", 309],
+    ["Olive Oil", "2 tbs", 27],
+    ["Flour", "1 cup", 127],
+    ["Rice", "1-2 cups", 306],
+    ["Chicken Breasts", "2", 340],
+    ["Eggs", "3", 150],
+    ["Onion", "1 large", 195],
+    ["Onion", "2 small", 210],
+    ["Garlic", "3 cloves", 15],
+    ["Tomatoes", "1 can", 400],
+    ["Lemon", "Juice of 2", 60],
+    ["Lemon", "Zest of 1", 2],
+  ])("%s, %j -> %s g", (ingredient, measure, grams) => {
+    expect(estimateNutrition(meal([ingredient, measure])).items[0].grams).toBe(grams);
+  });
+
+  it("adds up the foods, per recipe and per serving", () => {
+    const n = estimateNutrition(meal(["Butter", "50g"], ["Eggs", "2"]));
+    // 50 g butter (717 kcal, 0.9 g protein, 0.1 g carbs, 81 g fat per 100 g) + 100 g egg (143, 12.6, 0.7, 9.5)
+    expect(n.total).toEqual({ kcal: 502, protein: 13, carbs: 1, fat: 50 });
+    expect(n.perServing).toEqual({ kcal: 125, protein: 3, carbs: 0, fat: 13 });
+    expect(n.servings).toBe(4);
+  });
+
+  it("counts seasoning as nothing and leaves out what it can't match or measure", () => {
+    const n = estimateNutrition(meal(["Butter", "50g"], ["Salt", "to taste"], ["Chicken Breast", "Garnish"], ["Unobtainium", "1 cup"]));
+    expect(n.items.map((x) => [x.food, x.grams])).toEqual([["butter", 50], ["salt", 0]]);
+    expect(n.confidence).toMatchObject({ counted: 2, of: 4, missing: ["Chicken Breast", "Unobtainium"] });
+  });
+
+  it.each([
+    [9, 1, "high"],
+    [3, 1, "medium"],
+    [1, 1, "low"],
+  ])("%s counted and %s missing is %s confidence", (counted, unknown, level) => {
+    const ingredients = [...Array(counted).fill(["Butter", "10g"]), ...Array(unknown).fill(["Unobtainium", "1"])];
+    expect(estimateNutrition(meal(...ingredients)).confidence.level).toBe(level);
+  });
+
+  it.each([
+    [meal()],
+    [meal(["Salt", "to taste"])],
+    [meal(["Unobtainium", "1 cup"])],
+  ])("gives up when nothing could be counted: %#", (m) => {
+    expect(estimateNutrition(m)).toBe(null);
+  });
+});
+
+describe("nutritionOf", () => {
+  it("estimates each meal object once", () => {
+    const m = meal(["Butter", "50g"]);
+    expect(nutritionOf(m)).toBe(nutritionOf(m));
+    expect(nutritionOf(null)).toBe(null);
+  });
+});
@@ -0,0 +1,54 @@
+import { useEffect, useState } from "react";
+
+// Offline support: the service worker (public/sw.js) caches the app shell and
+// API responses; this module registers it, tracks connectivity and saves the
+// images of recipes the user looked at or favourited.
+
+const IMAGE_CACHE = "recipe-ideas-images"; // shared with public/sw.js
+// Small on purpose: when an image can only be fetched opaquely (no-cors),
+// Chrome counts it as several MB of the origin's storage quota
+const MAX_IMAGES = 20;
+
+export function registerServiceWorker() {
+  // Not in dev: a cached shell would fight with hot reloading
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((e) => console.warn("Service worker registration failed", e));
+  });
+}
+
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+  return online;
+}
+
+// Stores images in the cache the service worker serves them from. Oldest
+// entries are dropped beyond MAX_IMAGES. Failures are ignored — it's only a
+// nice-to-have.
+export async function keepImagesOffline(urls) {
+  if (typeof caches === "undefined" || navigator.onLine === false) return;
+  try {
+    const cache = await caches.open(IMAGE_CACHE);
+    for (const url of urls) {
+      // Uploaded pictures are data: URLs, already stored with the recipe (and
+      // the Cache API only takes http(s))
+      if (!/^https?:/i.test(url || "") || (await cache.match(url))) continue;
+      // CORS where the image host allows it; an opaque response still displays
+      const response = await fetch(url, { mode: "cors" }).catch(() => fetch(url, { mode: "no-cors" }));
+      if (response.ok || response.type === "opaque") await cache.put(url, response);
+    }
+    const keys = await cache.keys();
+    for (const request of keys.slice(0, Math.max(0, keys.length - MAX_IMAGES))) await cache.delete(request);
+  } catch (e) {
+    console.warn("Could not save images for offline use", e);
+  }
+}
@@ -0,0 +1,50 @@
+import { extractIngredients } from "./recipe";
+
+// Pantry mode: the user keeps a list of what they have at home, and search
+// returns every meal that uses any of it, ranked by how much of it they have.
+
+export const PANTRY_KEY = "pantry";
+
+// Very small singulariser — enough for "Tomatoes" == "tomato", "Eggs" == "egg"
+export function singular(word) {
+  if (/oes$/.test(word)) return word.slice(0, -2);
+  if (/ies$/.test(word)) return word.slice(0, -3) + "y";
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+export function ingredientWords(name) {
+  return (name || "").toLowerCase().split(/[^a-z]+/).filter(Boolean).map(singular);
+}
+
+// Does the pantry item cover the recipe's ingredient? Only if every word of
+// the ingredient is in the item: "Chicken Breast" covers a recipe's "Chicken",
+// but "Chicken" doesn't cover "Chicken Stock", nor "Butter" "Peanut Butter".
+export function ingredientMatches(ingredient, item) {
+  const need = ingredientWords(ingredient);
+  const have = ingredientWords(item);
+  if (need.length === 0 || have.length === 0) return false;
+  return need.every((w) => have.includes(w));
+}
+
+// -> { have: [names], missing: [names], total, score } where score is 0..1
+export function pantryMatch(meal, pantry) {
+  const have = [];
+  const missing = [];
+  for (const { ingredient } of extractIngredients(meal)) {
+    if (pantry.some((p) => ingredientMatches(ingredient, p))) have.push(ingredient);
+    else missing.push(ingredient);
+  }
+  const total = have.length + missing.length;
+  return { have, missing, total, score: total ? have.length / total : 0 };
+}
+
+// Union of several filter-by-ingredient ID lists, most-hit IDs first. The hit
+// count is how many pantry items a meal uses, so the best candidates load first.
+export function rankByHits(idLists) {
+  const hits = new Map();
+  for (const ids of idLists) {
+    for (const id of new Set(ids)) hits.set(id, (hits.get(id) || 0) + 1);
+  }
+  return [...hits.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { ingredientMatches, pantryMatch, rankByHits } from "./pantry";
+
+describe("ingredientMatches", () => {
+  it("ignores case and plurals", () => {
+    expect(ingredientMatches("Tomatoes", "tomato")).toBe(true);
+    expect(ingredientMatches("egg", "Eggs")).toBe(true);
+  });
+
+  it("lets a more specific pantry item cover a general ingredient", () => {
+    expect(ingredientMatches("Chicken", "Chicken Breast")).toBe(true);
+  });
+
+  it("doesn't let a shorter pantry item cover a different product", () => {
+    expect(ingredientMatches("Chicken Stock", "Chicken")).toBe(false);
+    expect(ingredientMatches("Peanut Butter", "Butter")).toBe(false);
+    expect(ingredientMatches("Chicken Breast", "Chicken")).toBe(false);
+  });
+
+  it("never matches an empty name", () => {
+    expect(ingredientMatches("", "Chicken")).toBe(false);
+    expect(ingredientMatches("Chicken", "")).toBe(false);
+  });
+});
+
+describe("pantryMatch", () => {
+  const meal = {
+    strIngredient1: "Chicken",
+    strIngredient2: "Chicken Stock",
+    strIngredient3: "Peanut Butter",
+    strIngredient4: "Rice",
+  };
+
+  it("splits the ingredients into what you have and what's missing", () => {
+    const match = pantryMatch(meal, ["Chicken", "Butter", "rice"]);
+    expect(match.have).toEqual(["Chicken", "Rice"]);
+    expect(match.missing).toEqual(["Chicken Stock", "Peanut Butter"]);
+    expect(match.score).toBe(0.5);
+  });
+});
+
+describe("rankByHits", () => {
+  it("puts the IDs found by most lists first", () => {
+    expect(rankByHits([["1", "2"], ["2", "3"], ["2", "3", "3"]])).toEqual(["2", "3", "1"]);
+  });
+});
@@ -0,0 +1,170 @@
+import { estimateCookTime } from "./cookTime";
+import { MEAL_TIME_OPTIONS } from "./filters";
+import { t } from "./i18n";
+import { extractIngredients } from "./recipe";
+
+// Weekly meal planner. The plan is a map of local dates to slots:
+//   { "2026-10-19": { Breakfast: entry, Dinner: entry }, ... }
+// where the slots are the Meal Time filter categories and each entry keeps a
+// snapshot of the meal so the plan works without refetching.
+
+export const PLANNER_KEY = "meal-plan";
+export const PLANNER_SLOTS = MEAL_TIME_OPTIONS;
+export const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Default start times used for the calendar export, [hour, minute]
+const SLOT_TIMES = { Breakfast: [8, 0], Lunch: [12, 30], Snack: [16, 0], Dinner: [19, 0] };
+
+export function toISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+export function fromISODate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(iso, days) {
+  const d = fromISODate(iso);
+  d.setDate(d.getDate() + days);
+  return toISODate(d);
+}
+
+// Monday of the week containing `date`
+export function startOfWeek(date = new Date()) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toISODate(d);
+}
+
+export function weekDates(weekStart) {
+  return DAY_NAMES.map((_, i) => addDays(weekStart, i));
+}
+
+export function makePlanEntry(meal) {
+  return {
+    idMeal: String(meal.idMeal),
+    strMeal: meal.strMeal,
+    strMealThumb: meal.strMealThumb || "",
+    minutes: estimateCookTime(meal),
+    meal,
+  };
+}
+
+export function setSlot(plan, date, slot, meal) {
+  const day = { ...(plan[date] || {}) };
+  if (meal) day[slot] = makePlanEntry(meal);
+  else delete day[slot];
+  const next = { ...plan };
+  if (Object.keys(day).length) next[date] = day;
+  else delete next[date];
+  return next;
+}
+
+export function dayMinutes(plan, date) {
+  return Object.values(plan[date] || {}).reduce((sum, e) => sum + (e.minutes || 0), 0);
+}
+
+// Copies every slot of the week starting at `weekStart` into the following
+// week, replacing whatever was planned there.
+export function copyWeekForward(plan, weekStart) {
+  const next = { ...plan };
+  for (const date of weekDates(weekStart)) {
+    const target = addDays(date, 7);
+    if (plan[date]) next[target] = { ...plan[date] };
+    else delete next[target];
+  }
+  return next;
+}
+
+export function clearWeek(plan, weekStart) {
+  const next = { ...plan };
+  for (const date of weekDates(weekStart)) delete next[date];
+  return next;
+}
+
+// ----------------------------- iCalendar export -----------------------------
+function icsEscape(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 lines are folded at 75 octets; continuation lines start with a space
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const chSize = new TextEncoder().encode(ch).length;
+    if (size + chSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsDateTime(iso, [h, m]) {
+  return `${iso.replace(/-/g, "")}T${String(h).padStart(2, "0")}${String(m).padStart(2, "0")}00`;
+}
+
+// Events use floating local times, so they land at e.g. 19:00 wherever the
+// calendar is opened. Only dates in `dates` are exported.
+export function planToICS(plan, dates) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Recipe Ideas//Meal Planner//EN", "CALSCALE:GREGORIAN"];
+  for (const date of dates) {
+    for (const slot of PLANNER_SLOTS) {
+      const entry = plan[date]?.[slot];
+      if (!entry) continue;
+      const ingredients = extractIngredients(entry.meal)
+        .map((x) => `- ${x.ingredient}${x.measure ? ` (${x.measure})` : ""}`)
+        .join("\n");
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${date}-${slot.toLowerCase()}-${entry.idMeal}@recipe-ideas`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDateTime(date, SLOT_TIMES[slot] || [12, 0])}`,
+        `DURATION:PT${Math.max(5, entry.minutes || 30)}M`,
+        `SUMMARY:${icsEscape(t("planner.ics.summary", { slot: t(`mealTime.${slot}`), name: entry.strMeal }))}`,
+        `DESCRIPTION:${icsEscape(ingredients ? `${t("planner.ics.ingredients")}\n${ingredients}` : entry.strMeal)}`,
+        "END:VEVENT"
+      );
+    }
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ----------------------------- Drag and drop -----------------------------
+const DRAG_TYPE = "application/x-recipe-ideas-meal";
+
+export function setMealDragData(e, meal) {
+  e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(meal));
+  e.dataTransfer.setData("text/plain", meal.strMeal || "");
+  e.dataTransfer.effectAllowed = "copy";
+}
+
+export function hasMealDragData(e) {
+  return [...(e.dataTransfer?.types || [])].includes(DRAG_TYPE);
+}
+
+export function getMealDragData(e) {
+  try {
+    return JSON.parse(e.dataTransfer.getData(DRAG_TYPE));
+  } catch {
+    return null;
+  }
+}
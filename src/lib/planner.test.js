@@ -0,0 +1,89 @@
+import { describe, expect, it, vi } from "vitest";
+import { activateLocale } from "./i18n";
+import { planToICS, setSlot } from "./planner";
+
+const pancakes = { idMeal: "10", strMeal: "Pancakes", strIngredient1: "Flour", strMeasure1: "200g", strIngredient2: "Eggs", strMeasure2: "" };
+const curry = { idMeal: "20", strMeal: "Curry; hot, with rice", strInstructions: "Simmer for 40 minutes." };
+
+// Unfolds continuation lines and splits the calendar into its content lines
+function lines(ics) {
+  return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+function events(ics) {
+  const out = [];
+  for (const line of lines(ics)) {
+    if (line === "BEGIN:VEVENT") out.push({});
+    else if (out.length && !line.startsWith("END:")) {
+      const at = line.indexOf(":");
+      out[out.length - 1][line.slice(0, at)] = line.slice(at + 1);
+    }
+  }
+  return out;
+}
+
+describe("planToICS", () => {
+  const plan = setSlot(setSlot({}, "2026-10-19", "Dinner", curry), "2026-10-19", "Breakfast", pancakes);
+
+  it("wraps the events in a calendar with CRLF line endings", () => {
+    const ics = planToICS(plan, ["2026-10-19"]);
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics.replace(/\r\n/g, "")).not.toMatch(/[\r\n]/);
+  });
+
+  it("writes one event per planned slot, in slot order, at floating local times", () => {
+    const [breakfast, dinner] = events(planToICS(plan, ["2026-10-19"]));
+    expect(breakfast).toMatchObject({ UID: "2026-10-19-breakfast-10@recipe-ideas", DTSTART: "20261019T080000", SUMMARY: "Breakfast: Pancakes" });
+    expect(dinner).toMatchObject({ UID: "2026-10-19-dinner-20@recipe-ideas", DTSTART: "20261019T190000" });
+  });
+
+  it("stamps every event with the export time in UTC", () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-10-19T07:08:09.123Z"));
+    const [event] = events(planToICS(plan, ["2026-10-19"]));
+    vi.useRealTimers();
+    expect(event.DTSTAMP).toBe("20261019T070809Z");
+  });
+
+  it.each([
+    [{ ...pancakes, minutes: null }, "PT30M"],
+    [{ ...pancakes, minutes: 2 }, "PT5M"],
+    [{ ...pancakes, minutes: 45 }, "PT45M"],
+  ])("uses the cook time as the duration: %#", (entry, duration) => {
+    const [event] = events(planToICS({ "2026-10-19": { Lunch: { ...entry, meal: pancakes } } }, ["2026-10-19"]));
+    expect(event.DURATION).toBe(duration);
+  });
+
+  it("lists the ingredients, or just the name without any", () => {
+    const [breakfast, dinner] = events(planToICS(plan, ["2026-10-19"]));
+    expect(breakfast.DESCRIPTION).toBe("Ingredients:\\n- Flour (200g)\\n- Eggs");
+    expect(dinner.DESCRIPTION).toBe("Curry\\; hot\\, with rice");
+  });
+
+  it("escapes text values", () => {
+    const [, dinner] = events(planToICS(plan, ["2026-10-19"]));
+    expect(dinner.SUMMARY).toBe("Dinner: Curry\\; hot\\, with rice");
+  });
+
+  it("folds lines longer than 75 octets without splitting characters", () => {
+    const long = { idMeal: "30", strMeal: "Crème brûlée ".repeat(12).trim() };
+    const ics = planToICS(setSlot({}, "2026-10-20", "Snack", long), ["2026-10-20"]);
+    for (const line of ics.split("\r\n")) expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    expect(events(ics)[0].SUMMARY).toBe(`Snack: ${long.strMeal}`);
+  });
+
+  it("writes the slot and labels in the active language", () => {
+    activateLocale("es");
+    const [breakfast] = events(planToICS(plan, ["2026-10-19"]));
+    activateLocale("en");
+    expect(breakfast.SUMMARY).toBe("Desayuno: Pancakes");
+    expect(breakfast.DESCRIPTION).toBe("Ingredientes:\\n- Flour (200g)\\n- Eggs");
+  });
+
+  it("only exports the dates asked for", () => {
+    const twoDays = setSlot(plan, "2026-10-26", "Lunch", pancakes);
+    expect(events(planToICS(twoDays, ["2026-10-26"]))).toHaveLength(1);
+    expect(events(planToICS(twoDays, []))).toHaveLength(0);
+  });
+});
@@ -0,0 +1,34 @@
+// Print-friendly pages: opens a bare window with just the given content and a
+// minimal stylesheet, then prints it. Nothing from the app chrome comes along.
+
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const PRINT_CSS = `
+  body { font-family: system-ui, sans-serif; color: #111; margin: 2rem; line-height: 1.4; }
+  h1 { font-size: 1.5rem; margin: 0 0 .5rem; }
+  h2 { font-size: 1.1rem; margin: 1.25rem 0 .5rem; border-bottom: 1px solid #ccc; }
+  ul, ol { padding-left: 1.25rem; }
+  img { max-width: 16rem; border-radius: .5rem; }
+  li { margin: .15rem 0; }
+  .muted { color: #555; font-size: .9rem; }
+  .done { text-decoration: line-through; color: #888; }
+`;
+
+export function openPrintWindow(title, bodyHtml) {
+  const win = window.open("", "_blank");
+  if (!win) return false; // blocked by the browser
+  win.document.write(
+    `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>` +
+      `<style>${PRINT_CSS}</style></head><body>${bodyHtml}</body></html>`
+  );
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+}
@@ -0,0 +1,106 @@
+import { FAVOURITES_KEY } from "./favourites";
+import { t } from "./i18n";
+import { PANTRY_KEY } from "./pantry";
+import { PLANNER_KEY } from "./planner";
+import { SHOPPING_KEY } from "./shopping";
+import { loadJSON, removeKey, removeKeysWithPrefix, saveJSON, usePersistentState } from "./storage";
+
+// Local user profiles — several people sharing a browser, no accounts or
+// passwords. Each profile's data (favourites, theme, lists, default filters,
+// saved searches) lives under "profile:<id>:<key>"; the data source, API
+// cache and own recipes are shared by everyone.
+
+const PROFILES_KEY = "profiles"; // [{ id, name, color, createdAt }]
+const SESSION_KEY = "session"; // id of the signed-in profile, null when logged out
+const MAX_NAME = 30;
+
+// Data saved before there were profiles; the first profile created takes it over
+const LEGACY_KEYS = [FAVOURITES_KEY, SHOPPING_KEY, PLANNER_KEY, PANTRY_KEY, "search-mode", "units"];
+
+export const AVATAR_COLORS = [
+  "from-indigo-500 to-blue-500",
+  "from-emerald-500 to-teal-500",
+  "from-rose-500 to-pink-500",
+  "from-amber-500 to-orange-500",
+  "from-violet-500 to-purple-500",
+  "from-sky-500 to-cyan-500",
+];
+
+// Default filters applied when a profile starts a search
+export const DEFAULTS_KEY = "defaults";
+export const EMPTY_DEFAULTS = { diet: [], cuisines: [] };
+export const SAVED_SEARCHES_KEY = "saved-searches"; // [{ id, name, search }] where search is a "?i=..." string
+
+export function profileKey(profileId, key) {
+  return `profile:${profileId}:${key}`;
+}
+
+// Key for the signed-in profile, for code outside React (e.g. ../api.js).
+// null when nobody is signed in, so there's nothing to read or save.
+export function scopedKey(key) {
+  const session = loadJSON(SESSION_KEY, null);
+  return session ? profileKey(session, key) : null;
+}
+
+export function initialOf(name) {
+  return (name.trim()[0] || "?").toUpperCase();
+}
+
+export function hasLegacyData() {
+  return loadJSON(PROFILES_KEY, []).length === 0 && LEGACY_KEYS.some((key) => loadJSON(key, null) != null);
+}
+
+function adoptLegacyData(profileId) {
+  for (const key of LEGACY_KEYS) {
+    const value = loadJSON(key, null);
+    if (value == null) continue;
+    saveJSON(profileKey(profileId, key), value);
+    removeKey(key);
+  }
+}
+
+// -> null, or why the name can't be used
+export function validateProfileName(name, profiles) {
+  const clean = name.trim();
+  if (!clean) return t("profiles.error.empty");
+  if (clean.length > MAX_NAME) return t("profiles.error.tooLong", { max: MAX_NAME });
+  if (profiles.some((p) => p.name.toLowerCase() === clean.toLowerCase())) return t("profiles.error.taken", { name: clean });
+  return null;
+}
+
+export function useProfiles() {
+  const [profiles, setProfiles] = usePersistentState(PROFILES_KEY, []);
+  const [session, setSession] = usePersistentState(SESSION_KEY, null);
+  const current = profiles.find((p) => p.id === session) || null;
+
+  // Returns an error message, or signs the new profile in
+  const create = (name) => {
+    const error = validateProfileName(name, profiles);
+    if (error) return error;
+    const profile = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, // two tabs can create one in the same millisecond
+      name: name.trim(),
+      color: AVATAR_COLORS[profiles.length % AVATAR_COLORS.length],
+      createdAt: new Date().toISOString(),
+    };
+    if (profiles.length === 0) adoptLegacyData(profile.id);
+    setProfiles([...profiles, profile]);
+    setSession(profile.id);
+    return null;
+  };
+
+  const remove = (id) => {
+    removeKeysWithPrefix(profileKey(id, ""));
+    setProfiles((list) => list.filter((p) => p.id !== id));
+    if (session === id) setSession(null);
+  };
+
+  return {
+    profiles,
+    current,
+    create,
+    remove,
+    signIn: (id) => setSession(id),
+    signOut: () => setSession(null),
+  };
+}
@@ -0,0 +1,75 @@
+// Recipe data providers. A provider is a plain object:
+//
+//   {
+//     id, label,
+//     cacheable,                          // should ../api.js cache its responses?
+//     filterByIngredient(name, signal),   // -> { meals: [{ idMeal, strMeal, strMealThumb }] | null }
+//     lookupById(id, signal),             // -> { meals: [meal] | null }
+//     listIngredients(signal),            // -> { meals: [{ strIngredient, ... }] }
+//     listAreas(signal),                  // -> { meals: [{ strArea }] }
+//     listCategories(signal),             // -> { meals: [{ strCategory }] }
+//   }
+//
+// i.e. the same JSON TheMealDB returns. The active provider comes from the
+// stored setting, else the VITE_RECIPE_PROVIDER env variable, else TheMealDB.
+// Switching provider reloads the page so no state from the old one lingers.
+
+import sampleMeals from "../../data/sample-meals.json";
+import { t } from "../i18n";
+import { loadJSON, removeKey, saveJSON } from "../storage";
+import { createLocalProvider, normalizeDataset } from "./local";
+import { mealDb } from "./mealdb";
+
+const PROVIDER_KEY = "provider";
+const DATASET_KEY = "local-dataset";
+
+export const PROVIDER_OPTIONS = [
+  { id: "mealdb", labelKey: "source.mealdb" },
+  { id: "local", labelKey: "source.local" },
+];
+
+export function getProviderId() {
+  const id = loadJSON(PROVIDER_KEY, null) || import.meta.env.VITE_RECIPE_PROVIDER || "mealdb";
+  return PROVIDER_OPTIONS.some((p) => p.id === id) ? id : "mealdb";
+}
+
+export function switchProvider(id) {
+  saveJSON(PROVIDER_KEY, id);
+  window.location.reload();
+}
+
+export function hasCustomDataset() {
+  return loadJSON(DATASET_KEY, null) != null;
+}
+
+// Validates and stores a user-loaded dataset, then reloads into the local provider
+export function loadCustomDataset(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("errors.invalidJson"));
+  }
+  const meals = normalizeDataset(data);
+  if (!saveJSON(DATASET_KEY, meals)) throw new Error(t("source.tooLarge"));
+  switchProvider("local");
+}
+
+export function clearCustomDataset() {
+  removeKey(DATASET_KEY);
+  window.location.reload();
+}
+
+function createLocal() {
+  const custom = loadJSON(DATASET_KEY, null);
+  if (custom) {
+    try {
+      return createLocalProvider(normalizeDataset(custom), { label: "Local dataset (loaded file)" });
+    } catch (e) {
+      console.warn("Stored dataset is invalid, using the bundled sample instead", e);
+    }
+  }
+  return createLocalProvider(normalizeDataset(sampleMeals), { label: "Local sample dataset" });
+}
+
+export const provider = getProviderId() === "local" ? createLocal() : mealDb;
@@ -0,0 +1,67 @@
+// Provider backed by an in-memory dataset of meals in TheMealDB's lookup shape
+// (strMeal, strIngredient1..20, ...). Responses mimic TheMealDB, including
+// `{ meals: null }` when nothing matches, so the rest of the app can't tell
+// the difference.
+
+import { t } from "../i18n";
+import { extractIngredients } from "../recipe";
+
+// Accepts `{ meals: [...] }` (a saved lookup/search response) or a bare array
+export function normalizeDataset(data) {
+  const list = Array.isArray(data) ? data : data?.meals;
+  if (!Array.isArray(list)) throw new Error(t("source.notAList"));
+  const meals = list.filter((m) => m && m.idMeal && m.strMeal).map((m) => ({ ...m, idMeal: String(m.idMeal) }));
+  if (meals.length === 0) throw new Error(t("source.noMeals"));
+  return meals;
+}
+
+function distinct(meals, field) {
+  return [...new Set(meals.map((m) => m[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+export function createLocalProvider(meals, { id = "local", label = "Local dataset" } = {}) {
+  const byId = new Map(meals.map((m) => [m.idMeal, m]));
+  const ingredientsOf = new Map(
+    meals.map((m) => [m.idMeal, new Set(extractIngredients(m).map((x) => x.ingredient.toLowerCase()))])
+  );
+
+  const respond = (signal, value) => {
+    signal?.throwIfAborted();
+    return Promise.resolve(value);
+  };
+
+  return {
+    id,
+    label,
+    cacheable: false, // already local — nothing to gain, and the dataset may be replaced
+    filterByIngredient: (ing, signal) => {
+      const q = ing.trim().toLowerCase();
+      const found = meals
+        .filter((m) => ingredientsOf.get(m.idMeal).has(q))
+        .map(({ idMeal, strMeal, strMealThumb }) => ({ idMeal, strMeal, strMealThumb }));
+      return respond(signal, { meals: found.length ? found : null });
+    },
+    lookupById: (id, signal) => {
+      const meal = byId.get(String(id));
+      return respond(signal, { meals: meal ? [meal] : null });
+    },
+    listIngredients: (signal) => {
+      const names = new Map();
+      for (const m of meals) {
+        for (const { ingredient } of extractIngredients(m)) {
+          if (!names.has(ingredient.toLowerCase())) names.set(ingredient.toLowerCase(), ingredient);
+        }
+      }
+      const list = [...names.values()].map((strIngredient, i) => ({
+        idIngredient: String(i + 1),
+        strIngredient,
+        strDescription: null,
+        strType: null,
+      }));
+      return respond(signal, { meals: list });
+    },
+    listAreas: (signal) => respond(signal, { meals: distinct(meals, "strArea").map((strArea) => ({ strArea })) }),
+    listCategories: (signal) =>
+      respond(signal, { meals: distinct(meals, "strCategory").map((strCategory) => ({ strCategory })) }),
+  };
+}
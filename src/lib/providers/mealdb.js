@@ -0,0 +1,35 @@
+// TheMealDB provider — the raw public endpoints. No caching or retries here,
+// see ../api.js for that. Providers are described in ./index.js.
+
+const BASE = "https://www.themealdb.com/api/json/v1/1";
+
+export class HttpError extends Error {
+  constructor(status, url) {
+    super(`Request failed with status ${status}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.url = url;
+  }
+}
+
+async function getJSON(url, signal) {
+  const r = await fetch(url, { signal });
+  if (!r.ok) throw new HttpError(r.status, url);
+  return r.json();
+}
+
+export const mealDb = {
+  id: "mealdb",
+  label: "TheMealDB",
+  cacheable: true,
+  filterByIngredient: (ing, signal) =>
+    getJSON(`${BASE}/filter.php?i=${encodeURIComponent(ing)}`, signal),
+  lookupById: (id, signal) =>
+    getJSON(`${BASE}/lookup.php?i=${encodeURIComponent(id)}`, signal),
+  listIngredients: (signal) =>
+    getJSON(`${BASE}/list.php?i=list`, signal),
+  listAreas: (signal) =>
+    getJSON(`${BASE}/list.php?a=list`, signal),
+  listCategories: (signal) =>
+    getJSON(`${BASE}/list.php?c=list`, signal),
+};
@@ -0,0 +1,61 @@
+import { t } from "./i18n";
+
+// Helpers that read TheMealDB meal objects
+
+// TheMealDB doesn't say how many a recipe serves, so scaling is relative to this
+export const DEFAULT_SERVINGS = 4;
+
+export function extractIngredients(meal) {
+  if (!meal) return [];
+  const pairs = [];
+  for (let i = 1; i <= 20; i++) {
+    const ing = meal[`strIngredient${i}`];
+    const measure = meal[`strMeasure${i}`];
+    if (ing && ing.trim()) {
+      pairs.push({ ingredient: ing.trim(), measure: (measure || "").trim() });
+    }
+  }
+  return pairs;
+}
+
+// 90 -> "1½", 120 -> "2"
+function hours(mins) {
+  const halves = Math.round(mins / 30);
+  const whole = Math.floor(halves / 2);
+  return `${whole || ""}${halves % 2 ? "½" : ""}` || "0";
+}
+
+// "1 hr", "1½ hrs" — pluralised on the rounded value
+function hoursText(mins) {
+  return t("time.hours", { count: Math.round(mins / 30) / 2, hours: hours(mins) });
+}
+
+// Rough time for cards: buckets up to an hour, then half-hour (up to 3 hrs)
+// or hour buckets. With `maxMins` it's a range instead, e.g. "8–12 hrs".
+// Wording comes from the active locale (see ./i18n).
+export function formatMinutes(mins, maxMins = mins) {
+  if (!mins || isNaN(mins)) return "—";
+  if (maxMins > mins && maxMins > 60) {
+    if (hours(mins) === hours(maxMins)) return hoursText(mins);
+    if (mins < 60) return t("time.minutesToHours", { from: Math.round(mins / 5) * 5, to: hours(maxMins) });
+    return t("time.hourRange", { from: hours(mins), to: hours(maxMins) });
+  }
+  if (mins > 60) {
+    const step = mins < 180 ? 30 : 60;
+    const low = Math.floor(mins / step) * step;
+    return t("time.hourRange", { from: hours(low), to: hours(low + step) });
+  }
+  if (mins === 60) return hoursText(60);
+  if (mins < 10) return t("time.underTen");
+  const low = Math.min(50, Math.floor(mins / 10) * 10);
+  return t("time.minuteRange", { from: low, to: low + 10 });
+}
+
+// Exact duration, e.g. 95 -> "1 h 35 min"
+export function formatDuration(mins) {
+  if (!mins || isNaN(mins)) return "—";
+  const h = Math.floor(mins / 60);
+  const m = Math.round(mins % 60);
+  if (!h) return t("time.minutes", { m });
+  return m ? t("time.hoursMinutes", { h, m }) : t("time.wholeHours", { h });
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { extractIngredients, formatDuration, formatMinutes } from "./recipe";
+
+describe("extractIngredients", () => {
+  it("pairs ingredients with measures, skipping blanks", () => {
+    const meal = { strIngredient1: " Onion ", strMeasure1: "1 ", strIngredient2: "", strMeasure2: "2", strIngredient3: "Salt", strMeasure3: null };
+    expect(extractIngredients(meal)).toEqual([
+      { ingredient: "Onion", measure: "1" },
+      { ingredient: "Salt", measure: "" },
+    ]);
+    expect(extractIngredients(null)).toEqual([]);
+  });
+});
+
+describe("formatMinutes", () => {
+  it.each([
+    [0, undefined, "—"],
+    [NaN, undefined, "—"],
+    [5, undefined, "< 10 mins"],
+    [10, undefined, "10–20 mins"],
+    [25, undefined, "20–30 mins"],
+    [59, undefined, "50–60 mins"],
+    [60, undefined, "1 hr"],
+    [75, undefined, "1–1½ hrs"],
+    [95, undefined, "1½–2 hrs"],
+    [150, undefined, "2½–3 hrs"],
+    [200, undefined, "3–4 hrs"],
+    [45, 45, "40–50 mins"],
+    [30, 90, "30 mins–1½ hrs"],
+    [70, 80, "1–1½ hrs"],
+    [120, 130, "2 hrs"],
+    [480, 720, "8–12 hrs"],
+  ])("%s to %s min -> %j", (mins, maxMins, text) => {
+    expect(formatMinutes(mins, maxMins)).toBe(text);
+  });
+});
+
+describe("formatDuration", () => {
+  it.each([
+    [0, "—"],
+    [45, "45 min"],
+    [60, "1 h"],
+    [95, "1 h 35 min"],
+  ])("%s -> %j", (mins, text) => {
+    expect(formatDuration(mins)).toBe(text);
+  });
+});
@@ -0,0 +1,143 @@
+import { AISLES, aisleFor } from "./aisles";
+import { t } from "./i18n";
+import { formatMeasure, fromBase, parseMeasure, unitInfo } from "./measures";
+import { ingredientWords } from "./pantry";
+import { DEFAULT_SERVINGS, extractIngredients } from "./recipe";
+
+// Shopping list across several recipes. Only the recipes (with the servings
+// they were added at) and the checked-off items are stored; the merged list is
+// recomputed from them, so removing a recipe takes its quantities with it.
+
+export const SHOPPING_KEY = "shopping-list";
+export const EMPTY_SHOPPING_LIST = { recipes: [], checked: {} };
+
+export function addToShoppingList(list, meal, servings = DEFAULT_SERVINGS) {
+  const entry = {
+    idMeal: String(meal.idMeal),
+    strMeal: meal.strMeal,
+    servings,
+    ingredients: extractIngredients(meal),
+  };
+  return { ...list, recipes: [...list.recipes.filter((r) => r.idMeal !== entry.idMeal), entry] };
+}
+
+export function removeFromShoppingList(list, idMeal) {
+  return { ...list, recipes: list.recipes.filter((r) => r.idMeal !== String(idMeal)) };
+}
+
+export function isOnShoppingList(list, idMeal) {
+  return list.recipes.some((r) => r.idMeal === String(idMeal));
+}
+
+export function toggleChecked(list, key) {
+  const checked = { ...list.checked };
+  if (checked[key]) delete checked[key];
+  else checked[key] = true;
+  return { ...list, checked };
+}
+
+export function clearChecked(list) {
+  return { ...list, checked: {} };
+}
+
+// "Tomatoes" and "tomato" are the same item
+export function itemKey(ingredient) {
+  return ingredientWords(ingredient).join(" ");
+}
+
+// Adds up one item's measures. Mass and volume sum through g / ml, count units
+// ("cloves") and bare numbers sum per unit, and anything unparseable
+// ("to taste") is listed as written. Ranges count at their upper end — better
+// to buy a little too much.
+function sumMeasures(measures, system) {
+  const buckets = new Map(); // bucket key -> { kind, unit, units: Set, total }
+  const text = [];
+  for (const { measure, factor } of measures) {
+    const parsed = parseMeasure(measure);
+    if (!parsed) {
+      if (measure && !text.includes(measure)) text.push(measure);
+      continue;
+    }
+    const qty = (parsed.qtyMax ?? parsed.qty) * factor;
+    const info = unitInfo(parsed.unit);
+    const kind = info && info.kind !== "count" ? info.kind : null;
+    const bucketKey = kind || `count:${parsed.unit || ""}:${parsed.unit ? "" : parsed.rest.toLowerCase()}`;
+    const bucket = buckets.get(bucketKey) || { kind, unit: parsed.unit, rest: parsed.rest, units: new Set(), total: 0 };
+    bucket.units.add(parsed.unit);
+    bucket.total += kind ? qty * info.base : qty;
+    buckets.set(bucketKey, bucket);
+  }
+
+  const amounts = [...buckets.values()].map((b) => {
+    if (!b.kind) return formatMeasure({ qty: b.total, qtyMax: null, unit: b.unit, rest: b.unit ? "" : b.rest });
+    // Everything in the same unit: keep it (1000g becomes 1kg). Mixed spoons stay in spoons.
+    if (b.units.size === 1) {
+      if ((b.unit === "g" || b.unit === "ml") && b.total >= 1000) return formatMeasure(fromBase(b.kind, b.total, "metric"));
+      return formatMeasure({ qty: b.total / unitInfo(b.unit).base, qtyMax: null, unit: b.unit, rest: "" });
+    }
+    const allSpoons = [...b.units].every((u) => unitInfo(u).spoon);
+    return formatMeasure(fromBase(b.kind, b.total, allSpoons ? "imperial" : system));
+  });
+  return [...amounts, ...text];
+}
+
+// -> [{ aisle, items: [{ key, name, amounts: [string], recipes: [string], checked }] }]
+export function aggregateShoppingList(list, system = "metric") {
+  const items = new Map();
+  for (const recipe of list.recipes) {
+    const factor = (recipe.servings || DEFAULT_SERVINGS) / DEFAULT_SERVINGS;
+    for (const { ingredient, measure } of recipe.ingredients) {
+      const key = itemKey(ingredient);
+      if (!key) continue;
+      const item = items.get(key) || { key, name: ingredient, measures: [], recipes: [] };
+      item.measures.push({ measure, factor });
+      if (!item.recipes.includes(recipe.strMeal)) item.recipes.push(recipe.strMeal);
+      items.set(key, item);
+    }
+  }
+
+  const byAisle = new Map(AISLES.map((a) => [a, []]));
+  for (const item of items.values()) {
+    byAisle.get(aisleFor(item.name)).push({
+      key: item.key,
+      name: item.name,
+      amounts: sumMeasures(item.measures, system),
+      recipes: item.recipes,
+      checked: !!list.checked[item.key],
+    });
+  }
+  return [...byAisle.entries()]
+    .filter(([, aisleItems]) => aisleItems.length > 0)
+    .map(([aisle, aisleItems]) => ({
+      aisle,
+      items: aisleItems.sort((a, b) => a.name.localeCompare(b.name)),
+    }));
+}
+
+function itemLine(item) {
+  return `${item.name}${item.amounts.length ? ` — ${item.amounts.join(" + ")}` : ""}`;
+}
+
+export function shoppingListToMarkdown(list, groups) {
+  const lines = [`# ${t("shopping.title")}`, ""];
+  if (list.recipes.length) {
+    const recipes = list.recipes.map((r) => t("shopping.recipeServings", { name: r.strMeal, count: r.servings }));
+    lines.push(t("shopping.for", { recipes: recipes.join(", ") }), "");
+  }
+  for (const { aisle, items } of groups) {
+    lines.push(`## ${t(`aisle.${aisle}`)}`, "");
+    for (const item of items) lines.push(`- [${item.checked ? "x" : " "}] ${itemLine(item)}`);
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+export function shoppingListToText(list, groups) {
+  const lines = [t("shopping.title").toLocaleUpperCase(), ""];
+  for (const { aisle, items } of groups) {
+    lines.push(t(`aisle.${aisle}`).toLocaleUpperCase());
+    for (const item of items) lines.push(`${item.checked ? "[x]" : "[ ]"} ${itemLine(item)}`);
+    lines.push("");
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,29 @@
+import { estimateCookTime } from "./cookTime";
+import { pantryMatch } from "./pantry";
+
+// Sort orders for the results grid. `have` is the ingredient list match scores
+// are computed against — the pantry, or the selected ingredients otherwise.
+
+export const SORT_OPTIONS = [
+  { id: "best", labelKey: "sort.best" },
+  { id: "missing", labelKey: "sort.missing" },
+  { id: "time", labelKey: "sort.time" },
+  { id: "az", labelKey: "sort.az" },
+];
+
+const byName = (a, b) => (a.meal.strMeal || "").localeCompare(b.meal.strMeal || "");
+
+const COMPARATORS = {
+  best: (a, b) => b.match.score - a.match.score || b.match.have.length - a.match.have.length || byName(a, b),
+  missing: (a, b) => a.match.missing.length - b.match.missing.length || b.match.score - a.match.score || byName(a, b),
+  time: (a, b) => a.minutes - b.minutes || byName(a, b),
+  az: byName,
+};
+
+export function sortMeals(meals, sortId, have) {
+  const compare = COMPARATORS[sortId] || COMPARATORS.best;
+  return meals
+    .map((meal) => ({ meal, match: pantryMatch(meal, have), minutes: estimateCookTime(meal) }))
+    .sort(compare)
+    .map((x) => x.meal);
+}
@@ -0,0 +1,53 @@
+import { singular } from "./pantry";
+
+// Turns TheMealDB's free-form strInstructions into numbered steps. Recipes are
+// written as paragraphs, numbered lines, or "STEP 1" headings; a single long
+// paragraph is broken into sentences instead.
+
+const STEP_HEADING = /^(?:step\s*)?\d+[.):]?$/i;
+const NUMBERING = /^(?:step\s*\d+\s*[.):-]?|\d+\s*[.)]|[-•▢*])\s*/i;
+
+export function splitSteps(instructions) {
+  const paragraphs = (instructions || "")
+    .split(/\r?\n+/)
+    .map((line) => line.trim())
+    .filter((line) => line && !STEP_HEADING.test(line))
+    .map((line) => line.replace(NUMBERING, "").trim())
+    .filter(Boolean);
+
+  if (paragraphs.length === 1) {
+    const sentences = (paragraphs[0].match(/[^.!?]+[.!?]+(?:\s|$)|[^.!?]+$/g) || [])
+      .map((s) => s.trim())
+      .filter((s) => s && !STEP_HEADING.test(s));
+    if (sentences.length > 1) return sentences;
+  }
+  return paragraphs;
+}
+
+// Words that describe an ingredient rather than name it
+const DESCRIPTORS = new Set([
+  "fresh", "dried", "ground", "chopped", "large", "small", "medium", "whole", "plain", "greek", "double",
+  "single", "light", "dark", "extra", "virgin", "sweet", "red", "green", "yellow", "white", "black",
+  "brown", "vegetable", "boneless", "skinless", "unsalted", "salted", "free", "range", "low", "fat",
+]);
+
+// Ingredients mentioned in a step: the full name, or any of its naming words
+// ("Chicken Breast" is mentioned by "add the chicken", but not by "red").
+export function stepIngredients(step, ingredients) {
+  const words = new Set(
+    step
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(Boolean)
+      .map(singular)
+  );
+  const text = step.toLowerCase();
+  return ingredients.filter(({ ingredient }) => {
+    const name = ingredient.toLowerCase();
+    if (text.includes(name)) return true;
+    return name
+      .split(/[^a-z]+/)
+      .filter((w) => w.length > 2 && !DESCRIPTORS.has(w))
+      .some((w) => words.has(singular(w)));
+  });
+}
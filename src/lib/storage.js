@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Small wrapper around localStorage. Every key is namespaced so several
+// features can share the same origin without stepping on each other, and all
+// access is guarded because storage can be unavailable (private mode, quota).
+
+const PREFIX = "recipe-ideas:";
+
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+// Returns false if the value could not be stored (e.g. over quota)
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`Could not persist "${key}"`, e);
+    return false;
+  }
+}
+
+export function removeKey(key) {
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+  } catch {
+    // ignore — nothing to clean up if storage is unavailable
+  }
+}
+
+// Removes every key starting with `prefix`, e.g. all of one profile's data
+export function removeKeysWithPrefix(prefix) {
+  try {
+    const full = PREFIX + prefix;
+    const keys = [];
+    for (let i = 0; i < window.localStorage.length; i++) {
+      const key = window.localStorage.key(i);
+      if (key?.startsWith(full)) keys.push(key);
+    }
+    keys.forEach((key) => window.localStorage.removeItem(key));
+  } catch {
+    // ignore — nothing to clean up if storage is unavailable
+  }
+}
+
+// useState that reads its initial value from storage and writes every change back.
+// If the key changes (e.g. a different profile) the value is re-read for the new key.
+export function usePersistentState(key, initial) {
+  const read = () => loadJSON(key, typeof initial === "function" ? initial() : initial);
+  const [state, setState] = useState(() => ({ key, value: read() }));
+  let current = state;
+  if (state.key !== key) {
+    current = { key, value: read() };
+    setState(current);
+  }
+
+  useEffect(() => {
+    saveJSON(current.key, current.value);
+  }, [current.key, current.value]);
+
+  const setValue = useCallback(
+    (next) =>
+      setState((s) => ({ key: s.key, value: typeof next === "function" ? next(s.value) : next })),
+    []
+  );
+  return [current.value, setValue];
+}
+
+// Trigger a browser download for an in-memory string
+export function downloadText(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,110 @@
+import { extractIngredients } from "./recipe";
+
+// Ingredient classification. Maps TheMealDB ingredient names ("Chicken Stock",
+// "Anchovy Fillet", "Coconut Milk") to dietary flags. Each flag has a pattern
+// and a list of exceptions, so "Butter Beans" isn't dairy and "Vegetable
+// Stock" isn't meat. Names are free text, so this is a best effort.
+
+export const FLAG_LABELS = {
+  meat: "Meat",
+  fish: "Fish",
+  shellfish: "Shellfish",
+  dairy: "Dairy",
+  egg: "Egg",
+  gluten: "Gluten",
+  nuts: "Nuts",
+  alcohol: "Alcohol",
+  honey: "Honey",
+};
+
+// Shown as badges on recipe cards
+export const ALLERGENS = ["gluten", "dairy", "egg", "nuts", "fish", "shellfish", "alcohol"];
+
+const RULES = {
+  meat: [
+    /\b(chicken|beef|pork|mutton|lamb|veal|bacon|ham|gammon|sausages?|chorizo|salami|pancetta|prosciutto|pepperoni|turkey|duck|goose|venison|rabbit|goat|mince|minced meat|steaks?|brisket|ribs|oxtail|liver|kidneys?|black pudding|bone marrow|gelatine?|lard|suet|dripping|meatballs?)\b/,
+    /\b(vegetable|veggie|vegan|vegetarian|meat-?free|plant-based|soya?|quorn|tofu)\b|goats?'?s? cheese|duck eggs?|lamb'?s lettuce/,
+  ],
+  fish: [
+    /\b(fish|anchov(y|ies)|salmon|tuna|cod|haddock|mackerel|sardines?|trout|tilapia|halibut|sea bass|bass|monkfish|pollock|herring|kippers?|swordfish|snapper|sole|plaice|catfish|bonito|dashi|worcestershire|caviar|roe)\b/,
+    /\b(vegan|fish-?free)\b/,
+  ],
+  shellfish: [
+    /\b(prawns?|shrimps?|crabs?|lobsters?|crayfish|langoustines?|scallops?|mussels?|clams?|oysters?|squid|calamari|octopus|cockles?|whelks?)\b/,
+    /oyster mushrooms?|\bvegan\b/,
+  ],
+  dairy: [
+    /\b(milk|butter|cheese|cream|yogh?urt|ghee|buttermilk|cr[eè]me fra[iî]che|parmesan|parmigiano|mozzarella|cheddar|feta|ricotta|mascarpone|paneer|brie|camembert|gruy[eè]re|halloumi|stilton|gorgonzola|pecorino|quark|whey|custard|ice cream|fromage|curd|kefir)\b/,
+    /\b(coconut|almond|soya?|oat|rice|cashew|peanut|nut|cocoa|shea)\s+(milk|butter|cream|yogh?urt|cheese)|\bbutter\s*(beans?|lettuce)|cream of tartar|cream crackers?|bean curd|\b(vegan|dairy-?free)\b/,
+  ],
+  egg: [
+    /\b(eggs?|egg (yolks?|whites?)|mayonnaise|mayo|meringues?|aioli|custard|brioche|hollandaise)\b/,
+    /\b(egg-?free|vegan)\b/,
+  ],
+  gluten: [
+    /\b(flour|wheat|bread|breadcrumbs?|pasta|spaghetti|penne|fusilli|farfalle|rigatoni|tagliatelle|linguine|fettuccine|lasagne|lasagna|macaroni|orzo|ravioli|tortellini|gnocchi|noodles?|udon|ramen|wonton|couscous|bulgur|barley|rye|semolina|spelt|seitan|pastry|filo|phyllo|tortillas?|pitta|pita|naan|bagels?|buns?|baguette|ciabatta|croutons?|crackers?|biscuits?|digestives?|cake|malt|beer|ale|stout|soy sauce|soya sauce|panko|muffins?|wraps?|pizza)\b/,
+    /gluten-?free|rice (flour|noodles?|paper|vermicelli)|corn ?flour|cornstarch|corn tortillas?|(almond|coconut|chickpea|gram|potato|tapioca|buckwheat) flour|glass noodles|\b(tamari|arrowroot)\b|ginger ale|ginger beer/,
+  ],
+  nuts: [
+    /\b(nuts?|almonds?|walnuts?|pecans?|hazelnuts?|cashews?|pistachios?|peanuts?|macadamias?|brazil nuts?|pine nuts?|chestnuts?|praline|marzipan|nutella|frangipane|satay)\b/,
+    /water chestnuts?|\bnut-?free\b/,
+  ],
+  alcohol: [
+    /\b(wine|beer|ale|lager|stout|cider|vodka|rum|brandy|cognac|whiske?y|bourbon|gin|tequila|sake|mirin|sherry|port|vermouth|liqueur|kirsch|amaretto|kahlua|baileys|grand marnier|cointreau|marsala|madeira|champagne|prosecco|calvados|schnapps)\b/,
+    /vinegar|non-?alcoholic|alcohol-?free|ginger ale|ginger beer|root beer/,
+  ],
+  honey: [/\b(honey|honeycomb)\b/, /honeydew/],
+};
+
+// Diets forbid flags. "Vegetarian" still allows dairy, egg and honey.
+export const DIETS = {
+  Vegetarian: ["meat", "fish", "shellfish"],
+  Vegan: ["meat", "fish", "shellfish", "dairy", "egg", "honey"],
+  Pescatarian: ["meat"],
+  "Gluten-free": ["gluten"],
+  "Dairy-free": ["dairy"],
+};
+
+const byName = new Map(); // lower-cased ingredient -> [flag]
+
+export function classifyIngredient(name) {
+  const key = (name || "").trim().toLowerCase();
+  if (!byName.has(key)) {
+    byName.set(
+      key,
+      Object.keys(RULES).filter((flag) => {
+        const [match, except] = RULES[flag];
+        return match.test(key) && !except?.test(key);
+      })
+    );
+  }
+  return byName.get(key);
+}
+
+const byMeal = new WeakMap();
+
+// -> { flag: [ingredient names that carry it] } for the flags the meal has
+export function mealFlags(meal) {
+  if (!byMeal.has(meal)) {
+    const flags = {};
+    for (const { ingredient } of extractIngredients(meal)) {
+      for (const flag of classifyIngredient(ingredient)) {
+        if (!flags[flag]) flags[flag] = [];
+        flags[flag].push(ingredient);
+      }
+    }
+    byMeal.set(meal, flags);
+  }
+  return byMeal.get(meal);
+}
+
+export function fitsDiet(meal, diet) {
+  const flags = mealFlags(meal);
+  return (DIETS[diet] || []).every((flag) => !flags[flag]);
+}
+
+// "nuts", "Dairy" -> the flag, for exclusions that name a whole group
+export function flagForName(name) {
+  const key = (name || "").trim().toLowerCase();
+  return Object.keys(FLAG_LABELS).find((flag) => flag === key || FLAG_LABELS[flag].toLowerCase() === key || `${flag}s` === key) || null;
+}
@@ -0,0 +1,86 @@
+// Search state <-> address bar. Lists use repeated keys so names with commas
+// or spaces survive: ?i=Chicken&i=Garlic&x=Peanut&c=Chinese&t=30&d=Vegan&meal=52772
+//
+//   i     selected ingredients      x     excluded ingredients
+//   mode  "pantry" (default "all")  c     cuisine labels
+//   cat   category labels           t     cooking time slider (minutes)
+//   tb    "active" = hands-on time  mt    meal times
+//   d     diet preferences          sort  results order
+//   kcal  calories per serving      pr    protein per serving (g)
+//         as "min-max", either end may be left out: kcal=-600, pr=25-
+//   meal  idMeal open in the Details panel
+
+import { COOK_TIME_ANY } from "./filters";
+
+export const DEFAULT_COOK_TIME = 45;
+
+// Only these keys make a new history entry; the rest (slider, sort, selected
+// meal) replace the current one so dragging the slider doesn't flood history.
+const PUSH_KEYS = ["i", "x", "mode", "c", "cat", "mt", "d"];
+
+// Diet options renamed since links were first shared, so old links still work
+const RENAMED_DIETS = { Veg: "Vegetarian" };
+
+// "200-600" -> [200, 600], "-600" -> [null, 600]; anything else is no limit
+function parseRange(text) {
+  const m = (text || "").match(/^(\d*)-(\d*)$/);
+  if (!m) return [null, null];
+  return [m[1] ? Number(m[1]) : null, m[2] ? Number(m[2]) : null];
+}
+
+function formatRange([min, max]) {
+  return min == null && max == null ? null : `${min ?? ""}-${max ?? ""}`;
+}
+
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const t = Number(params.get("t"));
+  return {
+    hasSearch: params.has("i") || params.has("mode"),
+    ingredients: params.getAll("i").filter(Boolean),
+    excluded: params.getAll("x").filter(Boolean),
+    mode: params.get("mode") === "pantry" ? "pantry" : "all",
+    cuisineLabels: params.getAll("c"),
+    categoryLabels: params.getAll("cat"),
+    cookTime: params.has("t") && Number.isFinite(t) && t >= 10 && t <= COOK_TIME_ANY ? t : DEFAULT_COOK_TIME,
+    timeBasis: params.get("tb") === "active" ? "active" : "total",
+    mealTimes: params.getAll("mt"),
+    diet: [...new Set(params.getAll("d").map((d) => RENAMED_DIETS[d] || d))],
+    nutrition: { kcal: parseRange(params.get("kcal")), protein: parseRange(params.get("pr")) },
+    sort: params.get("sort") || "best",
+    mealId: params.get("meal") || null,
+  };
+}
+
+// Defaults are left out so a fresh search has a short URL
+export function buildUrlSearch({ ingredients, excluded, mode, cuisineLabels, categoryLabels, cookTime, timeBasis, mealTimes, diet, nutrition, sort, mealId }) {
+  const params = new URLSearchParams();
+  if (mode === "pantry") params.set("mode", "pantry");
+  ingredients.forEach((x) => params.append("i", x));
+  excluded.forEach((x) => params.append("x", x));
+  cuisineLabels.forEach((x) => params.append("c", x));
+  categoryLabels.forEach((x) => params.append("cat", x));
+  if (cookTime !== DEFAULT_COOK_TIME) params.set("t", String(cookTime));
+  if (timeBasis === "active") params.set("tb", "active");
+  mealTimes.forEach((x) => params.append("mt", x));
+  diet.forEach((x) => params.append("d", x));
+  const kcal = formatRange(nutrition.kcal);
+  const protein = formatRange(nutrition.protein);
+  if (kcal) params.set("kcal", kcal);
+  if (protein) params.set("pr", protein);
+  if (sort && sort !== "best") params.set("sort", sort);
+  if (mealId) params.set("meal", mealId);
+  const s = params.toString();
+  return s ? `?${s}` : "";
+}
+
+export function sameList(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+// Should moving from one URL search to the other push a history entry?
+export function isNewHistoryEntry(fromSearch, toSearch) {
+  const a = new URLSearchParams(fromSearch);
+  const b = new URLSearchParams(toSearch);
+  return PUSH_KEYS.some((k) => a.getAll(k).join("\u0000") !== b.getAll(k).join("\u0000"));
+}
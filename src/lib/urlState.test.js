@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { buildUrlSearch, DEFAULT_COOK_TIME, isNewHistoryEntry, parseUrlState } from "./urlState";
+
+describe("parseUrlState", () => {
+  it("reads lists from repeated keys", () => {
+    const state = parseUrlState("?i=Chicken&i=Garlic&x=Peanut&d=Vegan&mode=pantry");
+    expect(state.ingredients).toEqual(["Chicken", "Garlic"]);
+    expect(state.excluded).toEqual(["Peanut"]);
+    expect(state.diet).toEqual(["Vegan"]);
+    expect(state.mode).toBe("pantry");
+  });
+
+  it("falls back to defaults for bad values", () => {
+    const state = parseUrlState("?t=5&mode=odd&kcal=lots");
+    expect(state.cookTime).toBe(DEFAULT_COOK_TIME);
+    expect(state.mode).toBe("all");
+    expect(state.nutrition.kcal).toEqual([null, null]);
+  });
+
+  it("maps renamed diet options from older links", () => {
+    expect(parseUrlState("?d=Veg").diet).toEqual(["Vegetarian"]);
+    expect(parseUrlState("?d=Veg&d=Vegetarian&d=Vegan").diet).toEqual(["Vegetarian", "Vegan"]);
+  });
+});
+
+describe("buildUrlSearch", () => {
+  it("round-trips through parseUrlState", () => {
+    const search = "?mode=pantry&i=Chicken&i=Rice&x=Peanut&t=30&d=Vegan&kcal=-600&meal=52772";
+    expect(buildUrlSearch(parseUrlState(search))).toBe(search);
+  });
+});
+
+describe("isNewHistoryEntry", () => {
+  it("pushes for filter changes but not the slider or the open meal", () => {
+    expect(isNewHistoryEntry("?i=Chicken", "?i=Chicken&i=Rice")).toBe(true);
+    expect(isNewHistoryEntry("?i=Chicken", "?i=Chicken&t=30&meal=1")).toBe(false);
+  });
+});
@@ -0,0 +1,3 @@
+export function classNames(...c) {
+  return c.filter(Boolean).join(" ");
+}
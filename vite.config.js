@@ -1,8 +1,27 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Writes the build's hashed assets into the service worker's precache list
+// (ASSETS in public/sw.js), so the app starts offline right after a first visit
+function precacheAssets() {
+  return {
+    name: 'precache-assets',
+    apply: 'build',
+    async writeBundle(options, bundle) {
+      const assets = Object.keys(bundle)
+        .filter((file) => !file.endsWith('.html') && !file.endsWith('.map'))
+        .map((file) => `/${file}`)
+      const sw = join(options.dir, 'sw.js')
+      const source = await readFile(sw, 'utf8')
+      await writeFile(sw, source.replace('[/* BUILD_ASSETS */]', JSON.stringify(assets)))
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(),tailwindcss()],
+  plugins: [react(),tailwindcss(),precacheAssets()],
 })